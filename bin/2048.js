@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+'use strict';
+
+const engine = require('../src/scripts/engine.js');
+const themes = require('../src/scripts/theme.js');
+
+const { Direction, GameStatus, StatusText, TileKind, Random, GameState, Variants, Rules } = engine;
+const { Themes, Theme } = themes;
+
+const usage = [
+  'Usage: 2048 [options]',
+  '',
+  'Options:',
+  '  --rows <n>      Number of rows (default 4)',
+  '  --columns <n>   Number of columns (default 4)',
+  '  --target <n>    Tile to win the game (default 2048)',
+  '  --seed <n>      Game number, random if omitted',
+  '  --variant <id>  Game variant: ' + Object.keys(Variants).join(', ') + ' (default classic)',
+  '  --theme <id>    Color theme: ' + Object.keys(Themes).join(', ') + ' (default classic)',
+  '  --batch         Read moves (up, down, left, right or u, d, l, r) from stdin',
+  '                  and print the final state as JSON',
+  '  --help          Show this message',
+  '',
+  'Keys: arrows or WASD to move, C to keep going after a win, N for a new game, Q to quit',
+].join('\n');
+
+const tileWidth = 8;
+const tileHeight = 3;
+
+/**
+ * Parses command line arguments
+ * @param {!Array<string>} args - Arguments without node and script path
+ * @returns {{rows: number, columns: number, targetTileLevel: number, seed: number, rules: Rules, theme: Theme, batch: boolean, help: boolean}}
+ * @throws {Error} If an argument is invalid
+ */
+function parseArgs(args) {
+  let options = {
+    rows: 4,
+    columns: 4,
+    targetTileLevel: 11,
+    seed: Random.generateSeed(),
+    rules: new Rules(),
+    theme: Theme.byId('classic'),
+    batch: false,
+    help: false,
+  };
+  const readNumber = (id, min, max) => {
+    const value = Number(args[id + 1]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(args[id] + ' expects an integer from ' + min + ' to ' + max);
+    }
+    return value;
+  };
+  let target = null;
+  for (let id = 0; id < args.length; id++) {
+    switch (args[id]) {
+      case '--rows':
+        options.rows = readNumber(id++, 2, 16);
+        break;
+      case '--columns':
+        options.columns = readNumber(id++, 2, 16);
+        break;
+      case '--target':
+        target = readNumber(id++, 2, Number.MAX_SAFE_INTEGER);
+        break;
+      case '--seed':
+        options.seed = readNumber(id++, 0, 0xFFFFFFFF);
+        break;
+      case '--variant':
+        if (!Variants.hasOwnProperty(args[id + 1])) {
+          throw new Error('--variant expects one of ' + Object.keys(Variants).join(', '));
+        }
+        options.rules = Rules.byId(args[++id]);
+        break;
+      case '--theme':
+        if (!Themes.hasOwnProperty(args[id + 1])) {
+          throw new Error('--theme expects one of ' + Object.keys(Themes).join(', '));
+        }
+        options.theme = Theme.byId(args[++id]);
+        break;
+      case '--batch':
+        options.batch = true;
+        break;
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        throw new Error('Unknown option ' + args[id]);
+    }
+  }
+  if (target !== null) {
+    // Target is given as a tile value, which depends on variant
+    let level = 1;
+    while (options.rules.tileValue(level) < target && level < 255) {
+      level++;
+    }
+    if (options.rules.tileValue(level) != target) {
+      throw new Error('--target expects a tile value, e.g. ' + options.rules.tileValue(11));
+    }
+    options.targetTileLevel = level;
+  }
+  return options;
+}
+
+/**
+ * Parses moves read in batch mode
+ * @param {string} text - Moves separated by whitespace or commas
+ * @returns {!Array<Direction>}
+ * @throws {Error} If a move is invalid
+ */
+function parseMoves(text) {
+  let directions = {};
+  for (let dir in Direction) {
+    directions[Direction[dir]] = Direction[dir];
+    directions[Direction[dir].charAt(0)] = Direction[dir];
+  }
+  return text.split(/[\s,]+/).filter((token) => token).map((token) => {
+    const direction = directions[token.toLowerCase()];
+    if (direction === undefined) {
+      throw new Error('Unknown move ' + token);
+    }
+    return direction;
+  });
+}
+
+/**
+ * Returns ANSI escape sequence setting 24-bit background and foreground colors
+ * @param {string} background - Background color, "#RRGGBB"
+ * @param {string} foreground - Foreground color, "#RRGGBB"
+ * @returns {string}
+ */
+function color(background, foreground) {
+  return '\x1b[48;2;' + Theme.parseHex(background).join(';') + 'm\x1b[38;2;' + Theme.parseHex(foreground).join(';') + 'm';
+}
+
+/**
+ * Returns board drawn as a colored ANSI grid with score and status lines
+ * @param {GameState} state - Game state
+ * @param {Theme=} theme - Color theme
+ * @returns {string}
+ */
+function renderBoard(state, theme = Theme.byId('classic')) {
+  const reset = '\x1b[0m';
+  const marginColor = theme.board;
+  const margin = color(marginColor, marginColor) + ' ';
+  const boardWidth = state.columns * (tileWidth + 1) + 1;
+  let lines = [
+    '\x1b[1m2048\x1b[0m  Game #' + state.seed,
+    'Score: ' + state.score,
+    '',
+    color(marginColor, marginColor) + ' '.repeat(boardWidth) + reset,
+  ];
+  for (let row = 0; row < state.rows; row++) {
+    for (let line = 0; line < tileHeight; line++) {
+      let text = margin;
+      for (let col = 0; col < state.columns; col++) {
+        const tile = state.tiles[row * state.columns + col];
+        const special = theme.specialTiles[tile.kind];
+        let label = '';
+        if (tile.isEmpty) {
+          text += color(theme.emptyTile, theme.emptyTile);
+        } else if (special) {
+          const labels = { [TileKind.Wall]: '', [TileKind.Wildcard]: '?', [TileKind.Bomb]: '*' + state.rules.tileValue(tile.level) };
+          text += color(special['background'], special['text']) + '\x1b[1m';
+          label = (line == Math.floor(tileHeight / 2) ? labels[tile.kind] : '');
+        } else {
+          text += color(theme.getTileColor(tile.level), theme.getTileTextColor(tile.level)) + '\x1b[1m';
+          label = (line == Math.floor(tileHeight / 2) ? String(state.rules.tileValue(tile.level)) : '');
+        }
+        const padding = tileWidth - label.length;
+        text += ' '.repeat(Math.ceil(padding / 2)) + label + ' '.repeat(Math.floor(padding / 2)) + reset + margin;
+      }
+      lines.push(text + reset);
+    }
+    lines.push(color(marginColor, marginColor) + ' '.repeat(boardWidth) + reset);
+  }
+  lines.push('');
+  if (StatusText[state.status]) {
+    lines.push('\x1b[1m' + StatusText[state.status] + '\x1b[0m');
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Plays moves read from stdin and prints final state as JSON
+ * @param {{rows: number, columns: number, targetTileLevel: number, seed: number, rules: Rules}} options - Options
+ */
+function runBatch(options) {
+  let input = '';
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', (chunk) => { input += chunk; });
+  process.stdin.on('end', () => {
+    let moves;
+    try {
+      moves = parseMoves(input);
+    } catch (e) {
+      process.stderr.write(e.message + '\n');
+      process.exitCode = 1;
+      return;
+    }
+    let state = new GameState(options.rows, options.columns, options.targetTileLevel, new Random(options.seed), options.rules);
+    for (let id = 0; id < moves.length && state.status != GameStatus.Lost; id++) {
+      state.keepPlaying();
+      state.move(moves[id]);
+    }
+    process.stdout.write(JSON.stringify(state.serialize()) + '\n');
+  });
+}
+
+/**
+ * Returns direction of a key read in raw terminal mode or null if the key does not move
+ * @param {string} key - Key, an arrow key escape sequence or a character
+ * @returns {?Direction}
+ */
+function keyDirection(key) {
+  const keys = {
+    '\x1b[A': Direction.Up,
+    '\x1b[B': Direction.Down,
+    '\x1b[C': Direction.Right,
+    '\x1b[D': Direction.Left,
+    'w': Direction.Up,
+    's': Direction.Down,
+    'd': Direction.Right,
+    'a': Direction.Left,
+  };
+  // Only characters are case insensitive, escape sequences differ by case
+  const direction = keys[key.length == 1 ? key.toLowerCase() : key];
+  return (direction === undefined ? null : direction);
+}
+
+/**
+ * Plays with arrow keys in raw terminal mode
+ * @param {{rows: number, columns: number, targetTileLevel: number, seed: number, rules: Rules, theme: Theme}} options - Options
+ */
+function runInteractive(options) {
+  let state = new GameState(options.rows, options.columns, options.targetTileLevel, new Random(options.seed), options.rules);
+  const draw = () => {
+    const keysHelp = (state.status == GameStatus.Won ? 'C: keep going' : 'Arrows/WASD: move');
+    process.stdout.write('\x1b[2J\x1b[H' + renderBoard(state, options.theme) + '\n' + keysHelp + '  N: new game  Q: quit\n');
+  };
+  const quit = () => {
+    process.stdin.setRawMode(false);
+    process.stdout.write('\x1b[?25h');
+    process.exit(0);
+  };
+
+  process.stdin.setRawMode(true);
+  process.stdin.setEncoding('utf8');
+  process.stdout.write('\x1b[?25l');
+  process.stdin.on('data', (key) => {
+    const lowerKey = (key.length == 1 ? key.toLowerCase() : key);
+    const direction = keyDirection(key);
+    if (key == '\x03' || lowerKey == 'q') {
+      quit();
+    } else if (lowerKey == 'n') {
+      state = new GameState(options.rows, options.columns, options.targetTileLevel, new Random(), options.rules);
+    } else if (lowerKey == 'c') {
+      state.keepPlaying();
+    } else if (direction !== null && state.status != GameStatus.Won) {
+      state.move(direction);
+    }
+    draw();
+  });
+  draw();
+}
+
+/**
+ * Main function
+ * @function
+ */
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    process.stderr.write(e.message + '\n\n' + usage + '\n');
+    process.exitCode = 1;
+    return;
+  }
+  if (options.help) {
+    process.stdout.write(usage + '\n');
+  } else if (options.batch) {
+    runBatch(options);
+  } else if (process.stdin.isTTY) {
+    runInteractive(options);
+  } else {
+    process.stderr.write('Standard input is not a terminal, use --batch to read moves from it\n');
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  parseArgs: parseArgs,
+  parseMoves: parseMoves,
+  keyDirection: keyDirection,
+  renderBoard: renderBoard,
+};
@@ -0,0 +1,7 @@
+/**
+ * @fileoverview Externs for CommonJS exports of engine.js when it is loaded in Node
+ * @externs
+ */
+
+/** @type {{exports: *}} */
+var module;
@@ -1,3 +1,6 @@
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
 var gulp = require('gulp');
 var gulpif = require('gulp-if');
 var clean = require('gulp-clean');
@@ -6,6 +9,11 @@ var sequence = require('gulp-sequence');
 var cleanCSS = require('gulp-clean-css');
 var closureCompiler = require('google-closure-compiler').gulp();
 
+// Engine goes first: game.js uses it and starts the game when loaded
+var scripts = ['./src/scripts/engine.js', './src/scripts/theme.js', './src/scripts/game.js'];
+// Built files precached by the service worker, keep in sync with precachedUrls in src/sw.js
+var precachedFiles = ['index.html', 'versus.html', 'scripts/main.js', 'styles/main.css', 'manifest.webmanifest', 'images/icon.svg'];
+
 gulp.task('clean', function() {
   return gulp.src('./dist', { read: false })
     .pipe(clean());
@@ -18,12 +26,13 @@ gulp.task('css', function() {
 });
 
 gulp.task('js', function() {
-  return gulp.src('./src/scripts/*.js')
+  return gulp.src(scripts)
     .pipe(closureCompiler({
       compilation_level: 'ADVANCED',
       warning_level: 'VERBOSE',
       language_in: 'ECMASCRIPT6_STRICT',
-      language_out: 'ECMASCRIPT5_STRICT',
+      language_out: 'ECMASCRIPT_2015', // <game-2048> element must stay a class extending HTMLElement
+      externs: ['./externs/node.js'],
       // output_wrapper: '(function(){\n%output%\n}).call(this)',
       js_output_file: 'main.min.js'
     }))
@@ -38,18 +47,36 @@ gulp.task('combine', function() {
 });
 
 gulp.task('compile', function() {
-  return gulp.src('./src/scripts/*.js')
+  return gulp.src(scripts)
     .pipe(closureCompiler({
       compilation_level: 'ADVANCED',
       warning_level: 'VERBOSE',
       language_in: 'ECMASCRIPT6_STRICT',
-      language_out: 'ECMASCRIPT5_STRICT',
+      language_out: 'ECMASCRIPT_2015', // <game-2048> element must stay a class extending HTMLElement
+      externs: ['./externs/node.js'],
       js_output_file: 'main.js'
     }))
     .pipe(gulp.dest('./dist/scripts/'));;
 });
 
-gulp.task('build', sequence('combine', 'compile'));
+gulp.task('assets', function() {
+  return gulp.src(['./src/manifest.webmanifest', './src/images/*'], { base: './src' })
+    .pipe(gulp.dest('./dist/'));
+});
+
+// Versions the service worker cache with a hash of the built files, so only builds changing them prompt for an update
+gulp.task('sw', function(done) {
+  var hash = crypto.createHash('sha1');
+  hash.update(fs.readFileSync('./src/sw.js'));
+  precachedFiles.forEach(function(file) {
+    hash.update(fs.readFileSync(path.join('./dist', file)));
+  });
+  var source = fs.readFileSync('./src/sw.js', 'utf8').replace('@BUILD_VERSION@', hash.digest('hex').slice(0, 12));
+  fs.writeFileSync('./dist/sw.js', source);
+  done();
+});
+
+gulp.task('build', sequence('combine', 'compile', 'assets', 'sw'));
 
 gulp.task('watch', function() {
   gulp.watch('./src/**/*.*', function() {
@@ -0,0 +1,2705 @@
+'use strict';
+
+/**
+ * Enum for directions
+ * @enum {string}
+ */
+const Direction = {
+  Right: "right",
+  Up: "up",
+  Left: "left",
+  Down: "down",
+}
+
+/**
+ * Enum for game status
+ * @enum {string}
+ */
+const GameStatus = {
+  InProgress: "inProgress",
+  Won: "won",
+  Continued: "continued",
+  Lost: "lost",
+  TimeUp: "timeUp", // Time limit of a challenge has run out
+  OutOfMoves: "outOfMoves", // Move limit of a challenge has been reached without the target tile
+}
+
+/**
+ * Messages shown to player for finished game statuses
+ * @type {!Object<GameStatus, string>}
+ */
+const StatusText = {};
+StatusText[GameStatus.Won] = "You win!";
+StatusText[GameStatus.Lost] = "Game over!";
+StatusText[GameStatus.TimeUp] = "Time's up!";
+StatusText[GameStatus.OutOfMoves] = "Out of moves!";
+
+/**
+ * Enum for tile status
+ * @enum {string}
+ */
+const TileStatus = {
+  Empty: "empty",
+  Spawned: "spawned",
+  Still: "still",
+  Moved: "moved",
+  Merged: "merged",
+  Decayed: "decayed",
+}
+
+/**
+ * Enum for tile kinds
+ * @enum {string}
+ */
+const TileKind = {
+  Number: "number",
+  Wall: "wall", // Never moves and has no level, lines are split by walls
+  Wildcard: "wildcard", // Has no level and merges with tiles of any level
+  Bomb: "bomb", // Numbered tile clearing its neighbours when it merges
+}
+
+/**
+ * Enum for game events, payloads are plain objects with quoted keys
+ * @enum {string}
+ */
+const GameEvent = {
+  Move: "move", // {"direction"} after a move has changed the board, its merges and spawns are emitted before
+  Merge: "merge", // {"index", "level", "from"} for every tile made by merging tiles at "from" indices
+  Spawn: "spawn", // {"index", "level"} for every spawned tile
+  ScoreChange: "scoreChange", // {"score", "delta"}
+  StatusChange: "statusChange", // {"status", "prevStatus"}
+  Restart: "restart", // {"seed"} when a controller starts a new game
+  Frame: "frame", // {"paused"} on every animation frame of a controller
+}
+
+/**
+ * Enum for rules of merging tiles
+ * @enum {string}
+ */
+const MergeRule = {
+  Powers: "powers", // Two equal tiles merge, tile values are powers of 2
+  Fibonacci: "fibonacci", // Two tiles with adjacent Fibonacci numbers merge
+  Triples: "triples", // Three equal tiles merge, tile values are powers of 3
+}
+
+/**
+ *  @type {Object}
+ */
+let MathUtils = {
+  /**
+   * Returns random integer from 0 to n - 1 drawn from a given random source
+   * @param {number} n - Number of possible values
+   * @param {Random} random - Random source
+   * @returns {number}
+   */
+  randomInRange: function(n, random) {
+    return Math.min(n - 1, Math.floor(random.next() * n));
+  }
+}
+
+/**
+ * Saved game format: current version and migrations from each older version to the next one
+ * @type {{version: number, migrations: !Object<number, function(!Object): !Object>}}
+ */
+const SaveFormat = {
+  version: 4,
+  migrations: {
+    1: (data) => Object.assign({}, data, { "moves": null }), // Moves were not recorded before version 2
+    2: (data) => Object.assign({}, data, { "rules": {}, "ages": null }), // Only classic rules before version 3
+    3: (data) => Object.assign({}, data, { "kinds": null }), // Only numbered tiles before version 4
+  },
+}
+
+/**
+ * Built-in game variants, each one is a JSON object of rules, missing rules are classic
+ * @type {!Object<string, !Object>}
+ */
+const Variants = {
+  "classic": { "name": "Classic" },
+  "fibonacci": { "name": "Fibonacci", "merge": MergeRule.Fibonacci },
+  "threes": { "name": "Powers of 3", "merge": MergeRule.Triples },
+  "fours": { "name": "More fours", "spawnLevels": [1, 2], "spawnWeights": [1, 1] },
+  "doubleSpawn": { "name": "Two tiles per move", "spawnCount": 2 },
+  "decay": { "name": "Tile decay", "decay": 25 },
+  "pillars": {
+    "name": "Pillars",
+    "layout": [
+      { "kind": TileKind.Wall, "row": 1, "column": 1 },
+      { "kind": TileKind.Wall, "row": -2, "column": -2 },
+    ],
+  },
+  "wildcards": {
+    "name": "Wildcards",
+    "layout": [
+      { "kind": TileKind.Wildcard, "row": 0, "column": 0 },
+      { "kind": TileKind.Wildcard, "row": -1, "column": -1 },
+    ],
+  },
+  "minefield": {
+    "name": "Minefield",
+    "layout": [
+      { "kind": TileKind.Bomb, "row": 0, "column": -1, "level": 1 },
+      { "kind": TileKind.Bomb, "row": -1, "column": 0, "level": 1 },
+      { "kind": TileKind.Wall, "row": 1, "column": -2 },
+      { "kind": TileKind.Wall, "row": -2, "column": 1 },
+    ],
+  },
+}
+
+/**
+ * Chooses where and which tile spawns
+ * @interface
+ */
+class SpawnStrategy {
+  /**
+   * Returns index and level of a tile to spawn on a board that is not full
+   * @method
+   * @param {GameState} state - State to spawn on, draws must come from its random source so replays repeat them
+   * @returns {{index: number, level: number}}
+   */
+  choose(state) {}
+}
+
+/**
+ * Spawns tiles at random empty positions with levels weighted by the rules
+ * @class
+ * @implements {SpawnStrategy}
+ */
+class RandomSpawnStrategy {
+  /**
+   * Returns a random empty position and a random level
+   * @method
+   * @param {GameState} state - State to spawn on
+   * @returns {{index: number, level: number}}
+   */
+  choose(state) {
+    const index = state.randomEmptyIndex(state.random);
+    return { index: index, level: state.rules.spawnLevel(state.random) };
+  }
+}
+
+/**
+ * Spawns tiles where they hurt the player most, judged by the solver's evaluation after the player's best reply
+ * @class
+ * @implements {SpawnStrategy}
+ */
+class AdversarialSpawnStrategy {
+  /**
+   * @constructs AdversarialSpawnStrategy
+   * @method
+   * @param {number} difficulty - Share of tiles placed adversarially from 0 to 1, the others spawn randomly
+   * @param {number=} nodeBudget - Boards evaluated per spawn, it keeps spawns of large boards within a frame
+   */
+  constructor(difficulty, nodeBudget = 256) {
+    this.difficulty = difficulty;
+    this.nodeBudget = nodeBudget;
+    this.solver = new Solver(1);
+    this.fallback = new RandomSpawnStrategy();
+  }
+
+  /**
+   * Returns the empty position and spawn level leaving the player with the worst board, ties go to the first one
+   * @method
+   * @param {GameState} state - State to spawn on
+   * @returns {{index: number, level: number}}
+   */
+  choose(state) {
+    if (state.random.next() >= this.difficulty) {
+      return this.fallback.choose(state);
+    }
+    const levels = state.rules.spawnLevels.filter((level, id) => (state.rules.spawnWeights[id] > 0));
+    const empty = state.tiles.filter((tile) => tile.isEmpty).map((tile) => tile.index);
+    // Every candidate is followed by up to 4 player moves, larger boards try every n-th position to keep within budget
+    const stride = Math.max(1, Math.ceil(empty.length * levels.length * 4 / this.nodeBudget));
+    let worst = { index: empty[0], level: levels[0] };
+    let worstValue = Infinity;
+    for (let id = 0; id < empty.length; id += stride) {
+      let tile = state.tiles[empty[id]];
+      for (let levelId = 0; levelId < levels.length; levelId++) {
+        tile.level = levels[levelId];
+        tile.status = TileStatus.Spawned;
+        const value = this.solver.moveValue(state, 1);
+        tile.reset();
+        if (value < worstValue) {
+          worstValue = value;
+          worst = { index: empty[id], level: levels[levelId] };
+        }
+      }
+    }
+    return worst;
+  }
+}
+
+/**
+ * Represents rules of a game variant: how tiles merge and score, and which tiles spawn
+ * @class
+ */
+class Rules {
+  /**
+   * @constructs Rules
+   * @method
+   * @param {!Object=} data - Rules JSON object, missing rules are classic
+   */
+  constructor(data = {}) {
+    this.merge = data["merge"] || MergeRule.Powers;
+    this.spawnLevels = data["spawnLevels"] || [1, 2];
+    this.spawnWeights = data["spawnWeights"] || [9, 1];
+    this.spawnCount = data["spawnCount"] || 1;
+    this.decay = data["decay"] || 0; // Moves a tile can stay unmerged before losing a level, 0 disables decay
+    // Special tiles placed at game start, negative row and column are counted from the bottom and right sides
+    this.layout = data["layout"] || [];
+    this.spawnDifficulty = data["spawnDifficulty"] || 0; // Percent of tiles placed adversarially, 0 for random spawns
+    /** @type {SpawnStrategy} */
+    this.spawnStrategy = (this.spawnDifficulty ?
+      new AdversarialSpawnStrategy(this.spawnDifficulty / 100) : new RandomSpawnStrategy()); // Shared by states and clones
+  }
+
+  /**
+   * Returns rules of a built-in variant with a given id, classic ones if there is no such variant
+   * @method
+   * @param {?string} id - Variant id, e.g. "fibonacci"
+   * @returns {Rules}
+   */
+  static byId(id) {
+    return new Rules(id !== null && Variants.hasOwnProperty(id) ? Variants[id] : {});
+  }
+
+  /**
+   * Returns number of tiles merging into one
+   * @method
+   * @returns {number}
+   */
+  get mergeSize() {
+    return (this.merge == MergeRule.Triples ? 3 : 2);
+  }
+
+  /**
+   * Returns value of a tile with a given level, the value is added to score when the tile is made by merge
+   * @method
+   * @param {number} level - Tile level
+   * @returns {number}
+   */
+  tileValue(level) {
+    if (this.merge == MergeRule.Fibonacci) {
+      let values = [1, 2]; // Level 1 is 1, level 2 is 2, then each value is the sum of the previous two
+      for (let id = 2; id < level; id++) {
+        values = [values[1], values[0] + values[1]];
+      }
+      return (level == 1 ? values[0] : values[1]);
+    }
+    return Math.pow(this.merge == MergeRule.Triples ? 3 : 2, level);
+  }
+
+  /**
+   * Returns levels with wildcards, given as null, replaced so that the tiles merge if possible,
+   * or null if all tiles are wildcards
+   * @method
+   * @param {!Array<?number>} levels - Tile levels
+   * @returns {?Array<number>}
+   */
+  resolveWildcards(levels) {
+    const known = levels.filter((level) => (level !== null));
+    if (!known.length) {
+      return null;
+    }
+    const wildcardLevel = (this.merge == MergeRule.Fibonacci ? known[0] + 1 : known[0]);
+    return levels.map((level) => (level === null ? wildcardLevel : level));
+  }
+
+  /**
+   * Checks if tiles with given levels, ordered from the side they move to, merge into one
+   * @method
+   * @param {!Array<number>} levels - Tile levels, mergeSize of them
+   * @returns {boolean}
+   */
+  canMerge(levels) {
+    if (this.merge == MergeRule.Fibonacci) {
+      return (Math.abs(levels[0] - levels[1]) == 1 || levels[0] == 1 && levels[1] == 1);
+    }
+    return levels.every((level) => (level == levels[0]));
+  }
+
+  /**
+   * Returns level of a tile made by merging tiles with given levels
+   * @method
+   * @param {!Array<number>} levels - Tile levels
+   * @returns {number}
+   */
+  mergedLevel(levels) {
+    return Math.max.apply(null, levels) + 1;
+  }
+
+  /**
+   * Returns level of a tile to spawn drawn from a given random source
+   * @method
+   * @param {Random} random - Random source
+   * @returns {number}
+   */
+  spawnLevel(random) {
+    const total = this.spawnWeights.reduce((sum, weight) => sum + weight, 0);
+    let draw = MathUtils.randomInRange(total, random);
+    let id = 0;
+    while (draw >= this.spawnWeights[id]) {
+      draw -= this.spawnWeights[id];
+      id++;
+    }
+    return this.spawnLevels[id];
+  }
+
+  /**
+   * Checks if rules are same as other rules
+   * @method
+   * @param {Rules} rules - Rules to compare with
+   * @returns {boolean}
+   */
+  equals(rules) {
+    return (JSON.stringify(this.serialize()) == JSON.stringify(rules.serialize()));
+  }
+
+  /**
+   * Returns JSON object with the rules
+   * @method
+   * @returns {!Object}
+   */
+  serialize() {
+    return {
+      "merge": this.merge,
+      "spawnLevels": this.spawnLevels,
+      "spawnWeights": this.spawnWeights,
+      "spawnCount": this.spawnCount,
+      "decay": this.decay,
+      "layout": this.layout,
+      "spawnDifficulty": this.spawnDifficulty,
+    };
+  }
+
+  /**
+   * Returns rules restored from JSON object or null if it is not valid
+   * @method
+   * @param {*} data - JSON object, missing rules are classic
+   * @returns {?Rules}
+   */
+  static deserialize(data) {
+    if (typeof data != "object" || !data) {
+      return null;
+    }
+    const rules = new Rules(data);
+    const isByte = (value) => (Number.isInteger(value) && 0 <= value && value <= 255);
+    const isLevel = (value) => (isByte(value) && value > 0);
+    const isPosition = (value) => (Number.isInteger(value) && -128 <= value && value <= 127);
+    const isLayoutTile = (tile) => (tile && typeof tile == "object" && isPosition(tile["row"]) && isPosition(tile["column"]) &&
+      Object.keys(TileKind).some((key) => (TileKind[key] === tile["kind"])) &&
+      (tile["kind"] == TileKind.Wall || tile["kind"] == TileKind.Wildcard ? !tile["level"] : isLevel(tile["level"])));
+    const valid = Object.keys(MergeRule).some((key) => (MergeRule[key] === rules.merge)) &&
+      Array.isArray(rules.spawnLevels) && rules.spawnLevels.length > 0 && rules.spawnLevels.every(isLevel) &&
+      Array.isArray(rules.spawnWeights) && rules.spawnWeights.length == rules.spawnLevels.length &&
+      rules.spawnWeights.every(isByte) && rules.spawnWeights.some((weight) => weight > 0) &&
+      isLevel(rules.spawnCount) && isByte(rules.decay) &&
+      Array.isArray(rules.layout) && rules.layout.length <= 255 && rules.layout.every(isLayoutTile) &&
+      isByte(rules.spawnDifficulty) && rules.spawnDifficulty <= 100;
+    return (valid ? rules : null);
+  }
+
+  /**
+   * Returns rules packed into bytes: merge rule, spawn count, decay, number of spawn levels,
+   * then level and weight of each, number of layout tiles, then kind, row, column and level of each, spawn difficulty
+   * @method
+   * @returns {!Array<number>}
+   */
+  toBytes() {
+    const mergeRules = [MergeRule.Powers, MergeRule.Fibonacci, MergeRule.Triples];
+    const kinds = [TileKind.Number, TileKind.Wall, TileKind.Wildcard, TileKind.Bomb];
+    let bytes = [mergeRules.indexOf(this.merge), this.spawnCount, this.decay, this.spawnLevels.length];
+    for (let id = 0; id < this.spawnLevels.length; id++) {
+      bytes.push(this.spawnLevels[id], this.spawnWeights[id]);
+    }
+    bytes.push(this.layout.length);
+    for (let id = 0; id < this.layout.length; id++) {
+      const tile = this.layout[id];
+      bytes.push(kinds.indexOf(tile["kind"]), tile["row"] & 255, tile["column"] & 255, tile["level"] || 0);
+    }
+    bytes.push(this.spawnDifficulty);
+    return bytes;
+  }
+
+  /**
+   * Returns rules unpacked from bytes at a given offset and their size in bytes, or null if they are not valid
+   * @method
+   * @param {!Uint8Array} bytes - Bytes
+   * @param {number} offset - Offset of rules
+   * @param {boolean=} withLayout - Whether layout is packed, it is not in replays of version 2
+   * @param {boolean=} withDifficulty - Whether spawn difficulty is packed, it is not in replays before version 4
+   * @returns {?{rules: Rules, size: number}}
+   */
+  static fromBytes(bytes, offset, withLayout = true, withDifficulty = true) {
+    const mergeRules = [MergeRule.Powers, MergeRule.Fibonacci, MergeRule.Triples];
+    const kinds = [TileKind.Number, TileKind.Wall, TileKind.Wildcard, TileKind.Bomb];
+    const spawnLevelCount = bytes[offset + 3];
+    let size = 4 + 2 * spawnLevelCount;
+    if (bytes.length < offset + size + (withLayout ? 1 : 0)) {
+      return null;
+    }
+    let data = {
+      "merge": mergeRules[bytes[offset]],
+      "spawnCount": bytes[offset + 1],
+      "decay": bytes[offset + 2],
+      "spawnLevels": [],
+      "spawnWeights": [],
+      "layout": [],
+    };
+    for (let id = 0; id < spawnLevelCount; id++) {
+      data["spawnLevels"].push(bytes[offset + 4 + 2 * id]);
+      data["spawnWeights"].push(bytes[offset + 5 + 2 * id]);
+    }
+    if (withLayout) {
+      const layoutStart = offset + size + 1;
+      const layoutSize = bytes[offset + size];
+      size += 1 + 4 * layoutSize;
+      if (bytes.length < offset + size) {
+        return null;
+      }
+      for (let id = 0; id < layoutSize; id++) {
+        const start = layoutStart + 4 * id;
+        let tile = {
+          "kind": kinds[bytes[start]],
+          "row": bytes[start + 1] << 24 >> 24,
+          "column": bytes[start + 2] << 24 >> 24,
+        };
+        if (bytes[start + 3]) {
+          tile["level"] = bytes[start + 3];
+        }
+        data["layout"].push(tile);
+      }
+    }
+    if (withDifficulty) {
+      if (bytes.length < offset + size + 1) {
+        return null;
+      }
+      data["spawnDifficulty"] = bytes[offset + size];
+      size++;
+    }
+    const rules = Rules.deserialize(data);
+    return (rules ? { rules: rules, size: size } : null);
+  }
+}
+
+/**
+ * Represents a seedable pseudorandom number generator (Mulberry32);
+ * Any object with the same next(), clone() and seed members can be used instead
+ * @class
+ */
+class Random {
+  /**
+   * @constructs Random
+   * @method
+   * @param {number=} seed - Unsigned 32-bit seed, a random one is generated if omitted
+   */
+  constructor(seed = Random.generateSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Returns a new random seed
+   * @method
+   * @returns {number}
+   */
+  static generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Returns next pseudorandom number from 0 (inclusive) to 1 (exclusive)
+   * @method
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Returns a clone of the generator in its current state
+   * @method
+   * @returns {Random}
+   */
+  clone() {
+    let clonedRandom = new Random(this.seed);
+    clonedRandom.state = this.state;
+    return clonedRandom;
+  }
+}
+
+/**
+ * Represents an emitter of events of given types
+ * @class
+ */
+class EventEmitter {
+  /**
+   * @constructs EventEmitter
+   * @method
+   * @param {!Array<string>} types - Event types that can be listened to and emitted
+   */
+  constructor(types) {
+    this.listeners = {};
+    types.forEach((type) => { this.listeners[type] = []; });
+  }
+
+  /**
+   * Returns listeners of a given event type, throws for unknown types
+   * @method
+   * @param {string} type - Event type
+   * @returns {!Array<function(!Object)>}
+   */
+  listenersOf(type) {
+    if (!this.listeners.hasOwnProperty(type)) {
+      throw new Error("Unknown event type " + type);
+    }
+    return this.listeners[type];
+  }
+
+  /**
+   * Adds an event listener
+   * @method
+   * @param {string} type - Event type
+   * @param {function(!Object)} listener - Listener called with the event payload
+   */
+  on(type, listener) {
+    this.listenersOf(type).push(listener);
+  }
+
+  /**
+   * Removes an event listener
+   * @method
+   * @param {string} type - Event type
+   * @param {function(!Object)} listener - Listener added before
+   */
+  off(type, listener) {
+    const listeners = this.listenersOf(type);
+    const id = listeners.indexOf(listener);
+    if (id != -1) {
+      listeners.splice(id, 1);
+    }
+  }
+
+  /**
+   * Calls listeners of an event, an error thrown by one of them is reported without stopping the others
+   * @method
+   * @param {string} type - Event type
+   * @param {!Object} payload - Event payload
+   */
+  emit(type, payload) {
+    this.listenersOf(type).slice().forEach((listener) => {
+      try {
+        listener(payload);
+      } catch (e) {
+        setTimeout(() => { throw e; }, 0);
+      }
+    });
+  }
+}
+
+/**
+ * Represents a tile
+ * @class
+ */
+class Tile {
+  /**
+   * @constructs Tile
+   * @param {number} index - Index of tile on board
+   */
+  constructor(index) {
+    this.index = index;
+    this.level = null;
+    this.prevIndex = null;
+    this.prevLevel = null;
+    this.prevKind = null;
+    this.status = TileStatus.Empty;
+    this.kind = TileKind.Number;
+    this.age = 0; // Moves since the tile has spawned or merged
+  }
+
+  /**
+   * Resets tile to an empty state
+   * @method
+   */
+  reset() {
+    this.level = null;
+    this.prevIndex = null;
+    this.prevLevel = null;
+    this.prevKind = null;
+    this.status = TileStatus.Empty;
+    this.kind = TileKind.Number;
+    this.age = 0;
+  }
+
+  /**
+   * Checks if tile is empty
+   * @method
+   * @returns {boolean}
+   */
+  get isEmpty() {
+    return (this.status == TileStatus.Empty);
+  }
+
+  /**
+   * Prepares tile for move
+   * @method
+   */
+  prepareForMove() {
+    if (!this.isEmpty) {
+      this.prevIndex = [this.index];
+      this.prevLevel = [this.level];
+      this.prevKind = [this.kind];
+      this.status = TileStatus.Still;
+    }
+  }
+
+  /**
+   * Places a special tile of a given kind
+   * @method
+   * @param {TileKind} kind - Kind of tile
+   * @param {?number} level - Level of numbered tiles and bombs, null for walls and wildcards
+   */
+  place(kind, level) {
+    this.kind = kind;
+    this.level = level;
+    this.status = TileStatus.Spawned;
+    this.age = 0;
+  }
+
+  /**
+   * Sets level of a newly spawned tile
+   * @method
+   * @param {number} level - Level
+   */
+  spawn(level) {
+    this.level = level;
+    this.status = TileStatus.Spawned;
+    this.age = 0;
+  }
+
+  /**
+   * Checks if tile is same as another tile
+   * @param {Tile} tile - Tile to compare with
+   * @method
+   * @returns {boolean}
+   */
+  equals(tile) {
+    return (this.index === tile.index && this.level === tile.level && this.kind === tile.kind);
+  }
+
+  /**
+   * Returns a clone of the tile
+   * @method
+   * @returns {Tile} 
+   */
+  clone() {
+    let clonedTile = new Tile(this.index);
+    clonedTile.level = this.level;
+    clonedTile.prevLevel = this.prevLevel;
+    clonedTile.prevKind = this.prevKind;
+    clonedTile.prevIndex = this.prevIndex;
+    clonedTile.status = this.status;
+    clonedTile.kind = this.kind;
+    clonedTile.age = this.age;
+    return clonedTile;
+  }
+}
+
+/**
+ * Represents game state
+ * @class
+ */
+class GameState {
+  /**
+   * @constructs GameState
+   * @param {number} rows - Number of rows on board
+   * @param {number} columns - Number of columns on board
+   * @param {number} targetTileLevel - Tile level to win the game 
+   * @param {Random=} random - Random source for spawning tiles
+   * @param {Rules=} rules - Rules of the game variant
+   * @param {boolean=} spawnInitialTiles - Whether to spawn initial tiles, states about to get their tiles replaced skip it
+   * @method
+   */
+  constructor(rows, columns, targetTileLevel, random = new Random(), rules = new Rules(), spawnInitialTiles = true) {
+    this.rows = rows;
+    this.columns = columns;
+    this.targetTileLevel = targetTileLevel;
+    this.random = random;
+    this.rules = rules;
+    this.tiles = [];
+    for (let index = 0; index < this.boardSize; index++) {
+      this.tiles.push(new Tile(index));
+    }
+    this.score = 0;
+    this.status = GameStatus.InProgress;
+    this.moveLog = []; // Shared between clones and replaced on every move, null if unknown
+    this.events = new EventEmitter(GameState.eventTypes); // Clones get their own emitter without listeners
+    this.placeLayout();
+    if (spawnInitialTiles) {
+      this.spawnTile();
+      this.spawnTile();
+    }
+  }
+
+  /**
+   * Returns types of events emitted by game states
+   * @method
+   * @returns {!Array<GameEvent>}
+   */
+  static get eventTypes() {
+    return [GameEvent.Move, GameEvent.Merge, GameEvent.Spawn, GameEvent.ScoreChange, GameEvent.StatusChange];
+  }
+
+  /**
+   * Places special tiles of the rules' layout, those outside the board are skipped
+   * @method
+   */
+  placeLayout() {
+    for (let id = 0; id < this.rules.layout.length; id++) {
+      const layoutTile = this.rules.layout[id];
+      const row = (layoutTile["row"] < 0 ? this.rows + layoutTile["row"] : layoutTile["row"]);
+      const column = (layoutTile["column"] < 0 ? this.columns + layoutTile["column"] : layoutTile["column"]);
+      if (0 <= row && row < this.rows && 0 <= column && column < this.columns) {
+        this.tiles[row * this.columns + column].place(layoutTile["kind"], layoutTile["level"] || null);
+      }
+    }
+  }
+
+  /**
+   * Returns size of board
+   * @method
+   * @returns {number}
+   */
+  get boardSize() {
+    return (this.rows * this.columns);
+  }
+
+  /**
+   * Returns seed the game was started with
+   * @method
+   * @returns {number}
+   */
+  get seed() {
+    return this.random.seed;
+  }
+
+  /**
+   * Checks if given index is inside board
+   * @param {number} index - Index to check
+   * @method
+   * @returns {boolean}
+   */
+  isInsideBoard(index) {
+    return (0 <= index && index < this.boardSize);
+  }
+
+  /**
+   * Checks if two given indicies are neighboring
+   * @param {number} index1 - First index 
+   * @param {number} index2 - Second index
+   * @method
+   * @returns {boolean}
+   */
+  areNeighboring(index1, index2) {
+    const dRow = Math.floor(index2 / this.columns) - Math.floor(index1 / this.columns);
+    const dCol = index2 % this.columns - index1 % this.columns;
+    return (Math.abs(dRow) == 1 && Math.abs(dCol) == 0 || Math.abs(dRow) == 0 && Math.abs(dCol) == 1);
+  }
+
+  /**
+   * Checks if there are no empty tiles on board
+   * @method
+   * @returns {boolean}
+   */
+  get isFull() {
+    let result = true;
+    for (let index = 0; index < this.boardSize; index++) {
+      if (this.tiles[index].isEmpty) {
+        result = false;
+        break;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Returns a clone of the game state
+   * @method
+   * @returns {GameState} 
+   */
+  clone() {
+    let clonedState = new GameState(this.rows, this.columns, this.targetTileLevel, this.random.clone(), this.rules, false);
+    clonedState.score = this.score;
+    clonedState.status = this.status;
+    clonedState.moveLog = this.moveLog;
+    clonedState.tiles = [];
+    for (let index = 0; index < this.boardSize; index++) {
+      clonedState.tiles.push(this.tiles[index].clone());
+    }
+    return clonedState;
+  }
+
+  /**
+   * Returns plain object representation of the game state for saving
+   * @method
+   * @returns {!Object}
+   */
+  serialize() {
+    return {
+      "version": SaveFormat.version,
+      "rows": this.rows,
+      "columns": this.columns,
+      "targetTileLevel": this.targetTileLevel,
+      "score": this.score,
+      "status": this.status,
+      "tiles": this.tiles.map((tile) => (tile.level || 0)),
+      "ages": this.tiles.map((tile) => tile.age),
+      "kinds": this.tiles.map((tile) => tile.kind),
+      "rules": this.rules.serialize(),
+      "seed": this.random.seed,
+      "randomState": this.random.state,
+      "moves": (this.moveLog ? this.moveLog.map((direction) => direction.charAt(0)).join("") : null),
+    };
+  }
+
+  /**
+   * Restores game state from its plain object representation;
+   * Data of older versions is migrated, returns null if data can not be restored
+   * @method
+   * @param {*} data - Data returned by serialize()
+   * @returns {?GameState}
+   */
+  static deserialize(data) {
+    if (!data || typeof data != "object" || !(data["version"] <= SaveFormat.version)) {
+      return null;
+    }
+    for (let version = data["version"]; version < SaveFormat.version; version++) {
+      if (!SaveFormat.migrations[version]) {
+        return null;
+      }
+      data = SaveFormat.migrations[version](data);
+    }
+
+    const rows = data["rows"];
+    const columns = data["columns"];
+    const tiles = data["tiles"];
+    const ages = data["ages"];
+    const kinds = data["kinds"];
+    const isKind = (kind) => Object.keys(TileKind).some((key) => (TileKind[key] === kind));
+    const hasLevel = (kind) => (kind == TileKind.Number || kind == TileKind.Bomb);
+    const rules = Rules.deserialize(data["rules"]);
+    const isCount = (value) => (Number.isInteger(value) && value > 0);
+    let valid = isCount(rows) && isCount(columns) && isCount(data["targetTileLevel"]) &&
+      Number.isInteger(data["score"]) && data["score"] >= 0 &&
+      Object.keys(GameStatus).some((key) => (GameStatus[key] === data["status"])) &&
+      Array.isArray(tiles) && tiles.length == rows * columns &&
+      tiles.every((level) => (level === 0 || isCount(level))) && rules !== null &&
+      (ages === null || Array.isArray(ages) && ages.length == tiles.length && ages.every(Number.isInteger)) &&
+      (kinds === null || Array.isArray(kinds) && kinds.length == tiles.length &&
+        kinds.every((kind, index) => (isKind(kind) && (hasLevel(kind) || tiles[index] === 0)))) &&
+      Number.isInteger(data["seed"]) && Number.isInteger(data["randomState"]) &&
+      (data["moves"] === null || typeof data["moves"] == "string" && /^[ruld]*$/.test(data["moves"]));
+    if (!valid) {
+      return null;
+    }
+
+    let state = new GameState(rows, columns, data["targetTileLevel"], new Random(), rules, false);
+    state.random = new Random(data["seed"]);
+    state.random.state = data["randomState"] >>> 0;
+    state.score = data["score"];
+    state.status = data["status"];
+    if (data["moves"] === null) {
+      state.moveLog = null;
+    } else {
+      let directions = {};
+      for (let dir in Direction) {
+        directions[Direction[dir].charAt(0)] = Direction[dir];
+      }
+      state.moveLog = data["moves"].split("").map((letter) => directions[letter]);
+    }
+    for (let index = 0; index < state.boardSize; index++) {
+      let tile = state.tiles[index];
+      const kind = (kinds ? kinds[index] : TileKind.Number);
+      tile.reset();
+      if (tiles[index] || !hasLevel(kind)) {
+        tile.place(kind, tiles[index] || null);
+        tile.age = (ages ? ages[index] : 0);
+        tile.prepareForMove();
+      }
+    }
+    return state;
+  }
+
+  /**
+   * Checks if game state is same as another game state
+   * @param {GameState} state - State to compare with
+   * @method
+   * @returns {boolean}
+   */
+  equals(state) {
+    let result = (this.score === state.score && this.rows === state.rows && this.columns === state.columns);
+    if (result) {
+      for (let index = 0; index < this.boardSize; index++) {
+        if (!this.tiles[index].equals(state.tiles[index])) {
+          result = false;
+          break;
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Checks if game is lost
+   * @method
+   * @returns {boolean}
+   */
+  get isGameOver() {
+    let dead = this.isFull;
+    if (dead) {
+      for (let dir in Direction) {
+        if (this.canMove(Direction[dir])) {
+          dead = false;
+          break;
+        }
+      }
+    }
+    return dead;
+  }
+
+  /**
+   * Checks if a move in a given direction would change the board, no tiles are spawned to find out
+   * @method
+   * @param {Direction} direction - Direction of move
+   * @returns {boolean}
+   */
+  canMove(direction) {
+    let movedState = this.clone();
+    movedState.gravitate(direction);
+    return !movedState.equals(this);
+  }
+
+  /**
+   * Checks if tile level needed to win the game is achieved
+   * @method
+   * @return {boolean}
+   */
+  get hasAchievedGoal() {
+    let won = false;
+    for (let index = 0; index < this.boardSize; index++) {
+      if (this.tiles[index].level >= this.targetTileLevel) {
+        won = true;
+        break;
+      }
+    }
+    return won;
+  }
+
+  /**
+   * Checks if game has ended and no more moves can be made
+   * @method
+   * @returns {boolean}
+   */
+  get isFinished() {
+    return (this.status == GameStatus.Lost || this.status == GameStatus.TimeUp || this.status == GameStatus.OutOfMoves);
+  }
+
+  /**
+   * Updates game status
+   * @method
+   */
+  updateStatus() {
+    if (this.isGameOver) {
+      this.setStatus(GameStatus.Lost);
+    } else if (this.status == GameStatus.InProgress && this.hasAchievedGoal) {
+      this.setStatus(GameStatus.Won);
+    }
+  }
+
+  /**
+   * Sets game status and emits its change
+   * @method
+   * @param {GameStatus} status - New status
+   */
+  setStatus(status) {
+    const prevStatus = this.status;
+    if (status != prevStatus) {
+      this.status = status;
+      this.events.emit(GameEvent.StatusChange, { "status": status, "prevStatus": prevStatus });
+    }
+  }
+
+  /**
+   * Continues won game, it stays won until player chooses to keep playing
+   * @method
+   */
+  keepPlaying() {
+    if (this.status == GameStatus.Won) {
+      this.setStatus(GameStatus.Continued);
+    }
+  }
+
+  /**
+   * Spawns new tile on board
+   */
+  spawnTile() {
+    if (!this.isFull) {
+      const spawn = this.rules.spawnStrategy.choose(this);
+      this.tiles[spawn.index].spawn(spawn.level);
+      this.events.emit(GameEvent.Spawn, { "index": spawn.index, "level": spawn.level });
+    }
+  }
+
+  /**
+   * Returns index of a random empty tile, board must not be full
+   * @method
+   * @param {Random} random - Random source
+   * @returns {number}
+   */
+  randomEmptyIndex(random) {
+    let index;
+    do {
+      index = MathUtils.randomInRange(this.boardSize, random);
+    } while (!this.tiles[index].isEmpty);
+    return index;
+  }
+
+  /**
+   * Adds a tile of a given level at a random empty position, e.g. garbage sent by an opponent;
+   * Tiles of the last move stop being animated
+   * @method
+   * @param {number} level - Tile level
+   * @param {Random} random - Random source for the position, spawns of the game are not affected by it
+   * @returns {boolean} Whether the tile has been added, false if board is full
+   */
+  addTile(level, random) {
+    if (this.isFull) {
+      return false;
+    }
+    this.tiles.forEach((tile) => { tile.prepareForMove(); });
+    const index = this.randomEmptyIndex(random);
+    this.tiles[index].spawn(level);
+    this.events.emit(GameEvent.Spawn, { "index": index, "level": level });
+    this.updateStatus();
+    return true;
+  }
+
+  /**
+   * Slides tiles of a line to its start merging them by the rules, tiles closest to the start merge first;
+   * Walls split the line into parts gravitating separately
+   * @param {!Array<number>} indices - Tile indices of the line, starting from the side tiles move to
+   * @method
+   */
+  gravitateLine(indices) {
+    let start = 0;
+    for (let id = 0; id <= indices.length; id++) {
+      if (id == indices.length || this.tiles[indices[id]].kind == TileKind.Wall) {
+        this.gravitateSegment(indices.slice(start, id));
+        start = id + 1;
+      }
+    }
+  }
+
+  /**
+   * Slides tiles of a line part without walls to its start merging them by the rules
+   * @param {!Array<number>} indices - Tile indices of the part, starting from the side tiles move to
+   * @method
+   */
+  gravitateSegment(indices) {
+    const mergeSize = this.rules.mergeSize;
+    let sources = [];
+    for (let id = 0; id < indices.length; id++) {
+      const tile = this.tiles[indices[id]];
+      if (!tile.isEmpty) {
+        sources.push(tile.clone());
+        tile.reset();
+      }
+    }
+    let position = 0;
+    for (let id = 0; id < sources.length; position++) {
+      let tile = this.tiles[indices[position]];
+      const group = sources.slice(id, id + mergeSize);
+      const levels = (group.length == mergeSize ?
+        this.rules.resolveWildcards(group.map((source) => (source.kind == TileKind.Wildcard ? null : source.level))) : null);
+      if (levels && this.rules.canMerge(levels)) {
+        tile.level = this.rules.mergedLevel(levels);
+        tile.prevIndex = [].concat.apply([], group.map((source) => source.prevIndex));
+        tile.prevLevel = [].concat.apply([], group.map((source) => source.prevLevel));
+        tile.prevKind = [].concat.apply([], group.map((source) => source.prevKind));
+        tile.status = TileStatus.Merged;
+        tile.age = 0;
+        this.score += this.rules.tileValue(tile.level);
+        id += mergeSize;
+      } else {
+        const source = sources[id];
+        tile.level = source.level;
+        tile.kind = source.kind;
+        tile.prevIndex = source.prevIndex;
+        tile.prevLevel = source.prevLevel;
+        tile.prevKind = source.prevKind;
+        tile.status = (source.index == tile.index ? TileStatus.Still : TileStatus.Moved);
+        tile.age = source.age;
+        id++;
+      }
+    }
+  }
+
+  /**
+   * Gravitates all tiles on board to a given direction
+   * @param {Direction} direction - Direction of gravitation
+   * @method
+   */
+  gravitate(direction) {
+    for (let index = 0; index < this.boardSize; index++) {
+      this.tiles[index].prepareForMove();
+    }
+
+    const horizontal = (direction == Direction.Left || direction == Direction.Right);
+    const reversed = (direction == Direction.Right || direction == Direction.Down);
+    const lineCount = (horizontal ? this.rows : this.columns);
+    const lineLength = (horizontal ? this.columns : this.rows);
+    for (let line = 0; line < lineCount; line++) {
+      let indices = [];
+      for (let position = 0; position < lineLength; position++) {
+        const offset = (reversed ? lineLength - 1 - position : position);
+        indices.push(horizontal ? line * this.columns + offset : offset * this.columns + line);
+      }
+      this.gravitateLine(indices);
+    }
+    this.explodeBombs();
+  }
+
+  /**
+   * Clears neighbours of tiles made by merging a bomb, walls are not cleared
+   * @method
+   */
+  explodeBombs() {
+    let cleared = [];
+    for (let index = 0; index < this.boardSize; index++) {
+      const tile = this.tiles[index];
+      if (tile.status == TileStatus.Merged && tile.prevKind.indexOf(TileKind.Bomb) != -1) {
+        const neighbours = [index - this.columns, index + this.columns, index - 1, index + 1];
+        cleared = cleared.concat(neighbours.filter((neighbour) => (this.isInsideBoard(neighbour) &&
+          this.areNeighboring(index, neighbour) && this.tiles[neighbour].kind != TileKind.Wall)));
+      }
+    }
+    cleared.forEach((index) => this.tiles[index].reset());
+  }
+
+  /**
+   * Ages tiles that have not merged, those reaching the decay limit lose a level down to 1
+   * @method
+   */
+  decayTiles() {
+    for (let index = 0; index < this.boardSize; index++) {
+      let tile = this.tiles[index];
+      if (!tile.isEmpty && tile.kind == TileKind.Number && tile.status != TileStatus.Merged) {
+        tile.age++;
+        if (tile.age >= this.rules.decay) {
+          tile.age = 0;
+          if (tile.level > 1) {
+            tile.level--;
+            tile.status = TileStatus.Decayed;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Does a move in a given direction;
+   * Returns true if game state has changed;
+   * @param {Direction} direction - Direction to move to
+   * @returns {boolean}
+   */
+  move(direction) {
+    let oldState = this.clone();
+    this.gravitate(direction);
+    if (!this.equals(oldState)) {
+      if (this.moveLog) {
+        this.moveLog = this.moveLog.concat([direction]);
+      }
+      this.tiles.filter((tile) => tile.status == TileStatus.Merged).forEach((tile) => {
+        this.events.emit(GameEvent.Merge, { "index": tile.index, "level": tile.level, "from": tile.prevIndex });
+      });
+      if (this.rules.decay) {
+        this.decayTiles();
+      }
+      for (let id = 0; id < this.rules.spawnCount; id++) {
+        this.spawnTile();
+      }
+      this.events.emit(GameEvent.Move, { "direction": direction });
+      if (this.score != oldState.score) {
+        this.events.emit(GameEvent.ScoreChange, { "score": this.score, "delta": this.score - oldState.score });
+      }
+      this.updateStatus();
+      return true;
+    } else {
+      return false;
+    }
+  }
+}
+
+/**
+ * Represents recorded game that can be replayed from its seed and moves
+ * @class
+ */
+class Replay {
+  /**
+   * @constructs Replay
+   * @method
+   * @param {number} rows - Number of rows on board
+   * @param {number} columns - Number of columns on board
+   * @param {number} targetTileLevel - Tile level to win the game
+   * @param {number} seed - Seed the game was started with
+   * @param {!Array<Direction>} moves - Moves that changed the board, in order
+   * @param {Rules=} rules - Rules of the game variant
+   */
+  constructor(rows, columns, targetTileLevel, seed, moves, rules = new Rules()) {
+    this.rows = rows;
+    this.columns = columns;
+    this.targetTileLevel = targetTileLevel;
+    this.seed = seed;
+    this.moves = moves;
+    this.rules = rules;
+  }
+
+  /**
+   * Returns replay of a game or null if the game's moves are unknown
+   * @method
+   * @param {GameState} state - Current state of the game
+   * @returns {?Replay}
+   */
+  static fromState(state) {
+    if (!state.moveLog) {
+      return null;
+    }
+    return new Replay(state.rows, state.columns, state.targetTileLevel, state.seed, state.moveLog, state.rules);
+  }
+
+  /**
+   * Returns directions in order of their 2-bit codes
+   * @method
+   * @returns {!Array<Direction>}
+   */
+  static get directions() {
+    return [Direction.Right, Direction.Up, Direction.Left, Direction.Down];
+  }
+
+  /**
+   * Returns state the game was started with
+   * @method
+   * @returns {GameState}
+   */
+  initialState() {
+    return new GameState(this.rows, this.columns, this.targetTileLevel, new Random(this.seed), this.rules);
+  }
+
+  /**
+   * Returns shareable base64url string: version, rows, columns and target level bytes,
+   * 32-bit seed and move count, rules of the variant, then moves packed 2 bits each
+   * @method
+   * @returns {string}
+   */
+  encode() {
+    const rulesBytes = this.rules.toBytes();
+    const headerSize = 12 + rulesBytes.length;
+    let bytes = new Uint8Array(headerSize + Math.ceil(this.moves.length / 4));
+    let view = new DataView(bytes.buffer);
+    view.setUint8(0, Replay.formatVersion);
+    view.setUint8(1, this.rows);
+    view.setUint8(2, this.columns);
+    view.setUint8(3, this.targetTileLevel);
+    view.setUint32(4, this.seed);
+    view.setUint32(8, this.moves.length);
+    bytes.set(rulesBytes, 12);
+    for (let id = 0; id < this.moves.length; id++) {
+      const code = Replay.directions.indexOf(this.moves[id]);
+      bytes[headerSize + (id >> 2)] |= code << (6 - 2 * (id & 3));
+    }
+    return Base64Url.encode(bytes);
+  }
+
+  /**
+   * Returns replay decoded from string or null if the string is not a valid replay
+   * @method
+   * @param {string} text - String returned by encode()
+   * @returns {?Replay}
+   */
+  static decode(text) {
+    let headerSize = 12;
+    const bytes = Base64Url.decode(text.trim());
+    if (!bytes || bytes.length < headerSize) {
+      return null;
+    }
+    const view = new DataView(bytes.buffer);
+    const version = view.getUint8(0);
+    const rows = view.getUint8(1);
+    const columns = view.getUint8(2);
+    const targetTileLevel = view.getUint8(3);
+    const moveCount = view.getUint32(8);
+    let rules = new Rules(); // Version 1 replays have no rules, they are classic
+    if (version >= 2) {
+      const unpacked = Rules.fromBytes(bytes, headerSize, version >= 3, version >= 4);
+      if (!unpacked) {
+        return null;
+      }
+      rules = unpacked.rules;
+      headerSize += unpacked.size;
+    }
+    if (version < 1 || version > Replay.formatVersion || !rows || !columns || !targetTileLevel ||
+      bytes.length != headerSize + Math.ceil(moveCount / 4)) {
+      return null;
+    }
+    let moves = [];
+    for (let id = 0; id < moveCount; id++) {
+      moves.push(Replay.directions[(bytes[headerSize + (id >> 2)] >> (6 - 2 * (id & 3))) & 3]);
+    }
+    return new Replay(rows, columns, targetTileLevel, view.getUint32(4), moves, rules);
+  }
+
+  /**
+   * Returns version of encoded replay format
+   * @method
+   * @returns {number}
+   */
+  static get formatVersion() {
+    return 4;
+  }
+}
+
+/**
+ *  URL-safe base64 encoding without padding
+ *  @type {Object}
+ */
+let Base64Url = {
+  alphabet: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_",
+
+  /**
+   * Returns base64url representation of bytes
+   * @param {!Uint8Array} bytes - Bytes
+   * @returns {string}
+   */
+  encode: function(bytes) {
+    let text = "";
+    for (let id = 0; id < bytes.length; id += 3) {
+      const chunk = (bytes[id] << 16) | ((bytes[id + 1] || 0) << 8) | (bytes[id + 2] || 0);
+      const length = Math.min(4, Math.ceil((bytes.length - id) * 4 / 3));
+      for (let position = 0; position < length; position++) {
+        text += Base64Url.alphabet.charAt((chunk >> (18 - 6 * position)) & 63);
+      }
+    }
+    return text;
+  },
+
+  /**
+   * Returns bytes represented by base64url string or null if the string is malformed
+   * @param {string} text - Base64url string
+   * @returns {?Uint8Array}
+   */
+  decode: function(text) {
+    if (text.length % 4 == 1) {
+      return null;
+    }
+    let bytes = new Uint8Array(Math.floor(text.length * 3 / 4));
+    for (let id = 0; id < text.length; id += 4) {
+      let chunk = 0;
+      for (let position = 0; position < 4; position++) {
+        const value = (id + position < text.length ? Base64Url.alphabet.indexOf(text.charAt(id + position)) : 0);
+        if (value == -1) {
+          return null;
+        }
+        chunk |= value << (18 - 6 * position);
+      }
+      const offset = id * 3 / 4;
+      for (let position = 0; position < 3 && offset + position < bytes.length; position++) {
+        bytes[offset + position] = (chunk >> (16 - 8 * position)) & 255;
+      }
+    }
+    return bytes;
+  }
+}
+
+/**
+ * Represents playback of a replay, keeping every state visited so far
+ * @class
+ */
+class ReplayPlayer {
+  /**
+   * @constructs ReplayPlayer
+   * @method
+   * @param {Replay} replay - Replay to play
+   */
+  constructor(replay) {
+    this.replay = replay;
+    this.states = [replay.initialState()];
+    this.position = 0;
+    this.playing = false;
+    this.speed = 4; // Moves per second
+    this.nextStepAt = new Date();
+  }
+
+  /**
+   * Returns state at current position
+   * @method
+   * @returns {GameState}
+   */
+  get state() {
+    return this.states[this.position];
+  }
+
+  /**
+   * Returns number of moves in replay
+   * @method
+   * @returns {number}
+   */
+  get length() {
+    return this.replay.moves.length;
+  }
+
+  /**
+   * Goes to the next move, returns false at the end of replay
+   * @method
+   * @returns {boolean}
+   */
+  stepForward() {
+    if (this.position >= this.length) {
+      return false;
+    }
+    if (this.position + 1 == this.states.length) {
+      let state = this.state.clone();
+      state.keepPlaying();
+      state.move(this.replay.moves[this.position]);
+      this.states.push(state);
+    }
+    this.position++;
+    return true;
+  }
+
+  /**
+   * Goes to the previous move, returns false at the start of replay
+   * @method
+   * @returns {boolean}
+   */
+  stepBack() {
+    if (this.position == 0) {
+      return false;
+    }
+    this.position--;
+    return true;
+  }
+
+  /**
+   * Starts or pauses playback
+   * @method
+   * @param {boolean} playing - Whether to play
+   */
+  setPlaying(playing) {
+    this.playing = playing && this.position < this.length;
+    this.nextStepAt = new Date();
+  }
+
+  /**
+   * Goes to the next move when it is time to, returns true if it did
+   * @method
+   * @returns {boolean}
+   */
+  update() {
+    const now = new Date();
+    if (!this.playing || now < this.nextStepAt) {
+      return false;
+    }
+    this.nextStepAt = new Date(now.valueOf() + 1000 / this.speed);
+    const stepped = this.stepForward();
+    if (this.position == this.length) {
+      this.playing = false;
+    }
+    return stepped;
+  }
+}
+
+/**
+ * Represents expectimax game solver
+ * @class
+ */
+class Solver {
+  /**
+   * @constructs Solver
+   * @method
+   * @param {number=} depth - Number of moves to look ahead
+   */
+  constructor(depth = 2) {
+    this.depth = depth;
+    this.lossPenalty = 1e6;
+    this.weights = {
+      empty: 2.7,
+      monotonicity: 1,
+      smoothness: 0.1,
+      corner: 1,
+    };
+  }
+
+  /**
+   * Returns the best move for a given state or null if there are no moves
+   * @method
+   * @param {GameState} state - State to search from
+   * @returns {?Direction}
+   */
+  bestMove(state) {
+    let bestDirection = null;
+    let bestValue = -Infinity;
+    for (let dir in Direction) {
+      const child = this.gravitated(state, Direction[dir]);
+      if (child) {
+        const value = this.chanceValue(child, this.depth);
+        if (value > bestValue) {
+          bestValue = value;
+          bestDirection = Direction[dir];
+        }
+      }
+    }
+    return bestDirection;
+  }
+
+  /**
+   * Returns a copy of state gravitated to a given direction or null if nothing moves
+   * @method
+   * @param {GameState} state - State to move
+   * @param {Direction} direction - Direction of move
+   * @returns {?GameState}
+   */
+  gravitated(state, direction) {
+    let child = state.clone();
+    child.gravitate(direction);
+    return (child.equals(state) ? null : child);
+  }
+
+  /**
+   * Returns value of a state where player is to move
+   * @method
+   * @param {GameState} state - State
+   * @param {number} depth - Number of moves left to look ahead
+   * @returns {number}
+   */
+  moveValue(state, depth) {
+    let bestValue = -Infinity;
+    for (let dir in Direction) {
+      const child = this.gravitated(state, Direction[dir]);
+      if (child) {
+        bestValue = Math.max(bestValue, this.chanceValue(child, depth));
+      }
+    }
+    return (bestValue == -Infinity ? this.evaluate(state) - this.lossPenalty : bestValue);
+  }
+
+  /**
+   * Returns expected value of a state where a tile is about to spawn;
+   * Variants spawning several tiles per move are treated as spawning one
+   * @method
+   * @param {GameState} state - State
+   * @param {number} depth - Number of moves left to look ahead, including the one just made
+   * @returns {number}
+   */
+  chanceValue(state, depth) {
+    if (depth <= 1) {
+      return this.evaluate(state);
+    }
+    const rules = state.rules;
+    const totalWeight = rules.spawnWeights.reduce((sum, weight) => sum + weight, 0);
+    const spawns = rules.spawnLevels.map((level, id) => ({ level: level, probability: rules.spawnWeights[id] / totalWeight }));
+    let emptyCount = 0;
+    let value = 0;
+    for (let index = 0; index < state.boardSize; index++) {
+      let tile = state.tiles[index];
+      if (tile.isEmpty) {
+        emptyCount++;
+        for (let id = 0; id < spawns.length; id++) {
+          tile.level = spawns[id].level;
+          tile.status = TileStatus.Spawned;
+          value += spawns[id].probability * this.moveValue(state, depth - 1);
+          tile.reset();
+        }
+      }
+    }
+    return (emptyCount ? value / emptyCount : this.moveValue(state, depth - 1));
+  }
+
+  /**
+   * Returns heuristic value of a state
+   * @method
+   * @param {GameState} state - State
+   * @returns {number}
+   */
+  evaluate(state) {
+    const levelAt = (row, col) => {
+      const tile = state.tiles[row * state.columns + col];
+      return (tile.level || 0); // Empty, wall and wildcard tiles have no level
+    };
+    let empty = 0;
+    let smoothness = 0;
+    let maxLevel = 0;
+    for (let row = 0; row < state.rows; row++) {
+      for (let col = 0; col < state.columns; col++) {
+        const level = levelAt(row, col);
+        maxLevel = Math.max(maxLevel, level);
+        if (level == 0) {
+          empty++;
+        } else {
+          if (col + 1 < state.columns && levelAt(row, col + 1)) {
+            smoothness -= Math.abs(level - levelAt(row, col + 1));
+          }
+          if (row + 1 < state.rows && levelAt(row + 1, col)) {
+            smoothness -= Math.abs(level - levelAt(row + 1, col));
+          }
+        }
+      }
+    }
+
+    let monotonicity = 0;
+    const addLineMonotonicity = (length, levelAtPosition) => {
+      let increase = 0;
+      let decrease = 0;
+      for (let position = 0; position + 1 < length; position++) {
+        const difference = levelAtPosition(position + 1) - levelAtPosition(position);
+        if (difference > 0) {
+          increase += difference;
+        } else {
+          decrease -= difference;
+        }
+      }
+      monotonicity -= Math.min(increase, decrease);
+    };
+    for (let row = 0; row < state.rows; row++) {
+      addLineMonotonicity(state.columns, (col) => levelAt(row, col));
+    }
+    for (let col = 0; col < state.columns; col++) {
+      addLineMonotonicity(state.rows, (row) => levelAt(row, col));
+    }
+
+    const lastRow = state.rows - 1;
+    const lastCol = state.columns - 1;
+    const corners = [levelAt(0, 0), levelAt(0, lastCol), levelAt(lastRow, 0), levelAt(lastRow, lastCol)];
+    const corner = (corners.indexOf(maxLevel) != -1 ? maxLevel : 0);
+
+    return (this.weights.empty * empty + this.weights.monotonicity * monotonicity +
+      this.weights.smoothness * smoothness + this.weights.corner * corner);
+  }
+}
+
+/**
+ * Enum for results of finished games
+ * @enum {string}
+ */
+const GameResult = {
+  Won: "won",
+  Lost: "lost",
+  Abandoned: "abandoned",
+}
+
+/**
+ * Collects statistics of the game being played
+ * @class
+ */
+class GameStatsCollector {
+  /**
+   * @constructs GameStatsCollector
+   * @method
+   * @param {GameState} state - State the game starts from
+   * @param {number=} time - Start time in milliseconds since epoch
+   */
+  constructor(state, time = Date.now()) {
+    this.seed = state.seed;
+    this.moves = 0;
+    this.merges = {};
+    this.maxTileLevel = GameStatsCollector.maxTileLevelOf(state);
+    this.duration = 0;
+    this.finished = false;
+    this.lastMoveTime = time;
+    this.idleLimit = 30000; // Longer pauses between moves count as this many milliseconds
+  }
+
+  /**
+   * Returns level of the largest tile on board
+   * @method
+   * @param {GameState} state - Game state
+   * @returns {number}
+   */
+  static maxTileLevelOf(state) {
+    let maxLevel = 0;
+    for (let index = 0; index < state.boardSize; index++) {
+      if (!state.tiles[index].isEmpty) {
+        maxLevel = Math.max(maxLevel, state.tiles[index].level);
+      }
+    }
+    return maxLevel;
+  }
+
+  /**
+   * Counts a move which has led to a given state
+   * @method
+   * @param {GameState} state - State after the move
+   * @param {number=} time - Time of the move in milliseconds since epoch
+   */
+  recordMove(state, time = Date.now()) {
+    this.moves++;
+    this.duration += Math.max(0, Math.min(time - this.lastMoveTime, this.idleLimit));
+    this.lastMoveTime = time;
+    for (let index = 0; index < state.boardSize; index++) {
+      const tile = state.tiles[index];
+      if (tile.status == TileStatus.Merged) {
+        this.merges[tile.level] = (this.merges[tile.level] || 0) + 1;
+      }
+    }
+    this.maxTileLevel = Math.max(this.maxTileLevel, GameStatsCollector.maxTileLevelOf(state));
+  }
+
+  /**
+   * Returns record of the game ending in a given state, the game is marked as finished so it is recorded once
+   * @method
+   * @param {GameState} state - Final state
+   * @param {Date=} date - Date the game has ended
+   * @returns {!Object}
+   */
+  finish(state, date = new Date()) {
+    let result = GameResult.Abandoned;
+    if (state.hasAchievedGoal) {
+      result = GameResult.Won;
+    } else if (state.isFinished) {
+      result = GameResult.Lost;
+    }
+    this.finished = true;
+    return {
+      "date": date.toISOString(),
+      "rows": state.rows,
+      "columns": state.columns,
+      "targetTileLevel": state.targetTileLevel,
+      "seed": state.seed,
+      "rules": state.rules.serialize(),
+      "result": result,
+      "score": state.score,
+      "maxTileLevel": this.maxTileLevel,
+      "moves": this.moves,
+      "merges": Object.assign({}, this.merges),
+      "duration": this.duration,
+    };
+  }
+
+  /**
+   * Returns JSON object with collected statistics
+   * @method
+   * @returns {!Object}
+   */
+  serialize() {
+    return {
+      "seed": this.seed,
+      "moves": this.moves,
+      "merges": this.merges,
+      "maxTileLevel": this.maxTileLevel,
+      "duration": this.duration,
+      "finished": this.finished,
+    };
+  }
+
+  /**
+   * Returns collector restored from JSON object for the game in a given state or null if it belongs to another game
+   * @method
+   * @param {*} data - JSON object
+   * @param {GameState} state - Game state
+   * @returns {?GameStatsCollector}
+   */
+  static deserialize(data, state) {
+    if (!data || data["seed"] !== state.seed || !Number.isInteger(data["moves"]) ||
+      typeof data["merges"] != "object" || !Number.isFinite(data["duration"])) {
+      return null;
+    }
+    let collector = new GameStatsCollector(state);
+    collector.moves = data["moves"];
+    collector.merges = Object.assign({}, data["merges"]);
+    collector.maxTileLevel = Math.max(collector.maxTileLevel, data["maxTileLevel"] || 0);
+    collector.duration = data["duration"];
+    collector.finished = (data["finished"] === true);
+    return collector;
+  }
+}
+
+/**
+ * Represents records of finished games and statistics over them
+ * @class
+ */
+class GameStats {
+  /**
+   * @constructs GameStats
+   * @method
+   * @param {!Array<!Object>=} records - Game records, oldest first
+   * @param {number=} limit - Maximum number of records kept, the oldest ones are dropped
+   */
+  constructor(records = [], limit = 1000) {
+    this.records = records.slice(-limit);
+    this.limit = limit;
+  }
+
+  /**
+   * Adds record of a finished game
+   * @method
+   * @param {!Object} record - Game record
+   */
+  add(record) {
+    this.records.push(record);
+    if (this.records.length > this.limit) {
+      this.records.shift();
+    }
+  }
+
+  /**
+   * Returns totals over all games
+   * @method
+   * @returns {{games: number, won: number, lost: number, moves: number, duration: number, merges: number, bestScore: number}}
+   */
+  get totals() {
+    let totals = { games: 0, won: 0, lost: 0, moves: 0, duration: 0, merges: 0, bestScore: 0 };
+    for (let id = 0; id < this.records.length; id++) {
+      const record = this.records[id];
+      totals.games++;
+      totals.won += (record["result"] == GameResult.Won ? 1 : 0);
+      totals.lost += (record["result"] == GameResult.Lost ? 1 : 0);
+      totals.moves += record["moves"];
+      totals.duration += record["duration"];
+      totals.bestScore = Math.max(totals.bestScore, record["score"]);
+      for (let level in record["merges"]) {
+        totals.merges += record["merges"][level];
+      }
+    }
+    return totals;
+  }
+
+  /**
+   * Returns share of won games from 0 to 1
+   * @method
+   * @returns {number}
+   */
+  get winRate() {
+    const totals = this.totals;
+    return (totals.games ? totals.won / totals.games : 0);
+  }
+
+  /**
+   * Returns rules a recorded game was played by, records made before variants are classic
+   * @method
+   * @param {!Object} record - Game record
+   * @returns {Rules}
+   */
+  static rulesOf(record) {
+    return Rules.deserialize(record["rules"] || {}) || new Rules();
+  }
+
+  /**
+   * Returns number of games for every value of the largest tile reached
+   * @method
+   * @returns {!Object<number, number>}
+   */
+  get maxTileHistogram() {
+    let histogram = {};
+    for (let id = 0; id < this.records.length; id++) {
+      const value = GameStats.rulesOf(this.records[id]).tileValue(this.records[id]["maxTileLevel"]);
+      histogram[value] = (histogram[value] || 0) + 1;
+    }
+    return histogram;
+  }
+
+  /**
+   * Returns average score of all games up to each game
+   * @method
+   * @returns {!Array<number>}
+   */
+  get averageScores() {
+    let averages = [];
+    let sum = 0;
+    for (let id = 0; id < this.records.length; id++) {
+      sum += this.records[id]["score"];
+      averages.push(sum / (id + 1));
+    }
+    return averages;
+  }
+
+  /**
+   * Returns number of won games in a row at the end and the longest such run
+   * @method
+   * @returns {{current: number, best: number}}
+   */
+  get streaks() {
+    let streaks = { current: 0, best: 0 };
+    for (let id = 0; id < this.records.length; id++) {
+      streaks.current = (this.records[id]["result"] == GameResult.Won ? streaks.current + 1 : 0);
+      streaks.best = Math.max(streaks.best, streaks.current);
+    }
+    return streaks;
+  }
+
+  /**
+   * Returns records as CSV with a header line, merges are listed as "value:count" pairs
+   * @method
+   * @returns {string}
+   */
+  toCSV() {
+    let lines = ["date,rows,columns,target,seed,result,score,max_tile,moves,duration_ms,merges"];
+    for (let id = 0; id < this.records.length; id++) {
+      const record = this.records[id];
+      const rules = GameStats.rulesOf(record);
+      // Keys of merge counts are level strings
+      const merges = Object.keys(record["merges"]).map((level) =>
+        rules.tileValue(parseInt(level, 10)) + ":" + record["merges"][level]);
+      lines.push([
+        record["date"],
+        record["rows"],
+        record["columns"],
+        rules.tileValue(record["targetTileLevel"]),
+        record["seed"],
+        record["result"],
+        record["score"],
+        rules.tileValue(record["maxTileLevel"]),
+        record["moves"],
+        record["duration"],
+        merges.join(" "),
+      ].join(","));
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Returns JSON object with all records
+   * @method
+   * @returns {!Object}
+   */
+  serialize() {
+    return {
+      "version": 1,
+      "games": this.records,
+    };
+  }
+
+  /**
+   * Returns statistics restored from JSON object, empty ones if it is malformed
+   * @method
+   * @param {*} data - JSON object
+   * @returns {GameStats}
+   */
+  static deserialize(data) {
+    if (!data || data["version"] !== 1 || !Array.isArray(data["games"])) {
+      return new GameStats();
+    }
+    return new GameStats(data["games"].filter((record) => (record && typeof record == "object" &&
+      Number.isInteger(record["score"]) && Number.isInteger(record["maxTileLevel"]) &&
+      Number.isInteger(record["moves"]) && typeof record["merges"] == "object")));
+  }
+}
+
+/**
+ * Enum for challenge modes
+ * @enum {string}
+ */
+const ChallengeMode = {
+  Free: "free",
+  TimeAttack: "timeAttack", // Highest score within a time limit
+  MoveBudget: "moveBudget", // Target tile within a move limit
+  Daily: "daily", // Same board for everyone on a given day
+}
+
+/**
+ * Built-in challenges, each one is a JSON object of Challenge
+ * @type {!Object<string, !Object>}
+ */
+const Challenges = {
+  "free": { "name": "Free play", "mode": ChallengeMode.Free },
+  "timeAttack": { "name": "Time attack, 3 minutes", "mode": ChallengeMode.TimeAttack, "timeLimit": 180000 },
+  "moveBudget": { "name": "Move budget, 1200 moves", "mode": ChallengeMode.MoveBudget, "moveLimit": 1200 },
+  "daily": { "name": "Daily challenge", "mode": ChallengeMode.Daily },
+}
+
+/**
+ * Represents end conditions and ranking of a challenge mode
+ * @class
+ */
+class Challenge {
+  /**
+   * @constructs Challenge
+   * @method
+   * @param {!Object=} data - Challenge JSON object
+   */
+  constructor(data = {}) {
+    this.mode = data["mode"] || ChallengeMode.Free;
+    this.timeLimit = data["timeLimit"] || 0; // Milliseconds, 0 for no limit
+    this.moveLimit = data["moveLimit"] || 0; // 0 for no limit
+  }
+
+  /**
+   * Returns built-in challenge with a given id, free play if it is unknown
+   * @method
+   * @param {?string} id - Challenge id
+   * @returns {Challenge}
+   */
+  static byId(id) {
+    return new Challenge(id !== null && Challenges.hasOwnProperty(id) ? Challenges[id] : Challenges["free"]);
+  }
+
+  /**
+   * Checks if results of the challenge are ranked on a leaderboard
+   * @method
+   * @returns {boolean}
+   */
+  get isRanked() {
+    return (this.mode != ChallengeMode.Free);
+  }
+
+  /**
+   * Returns seed of the daily board for a given date, it changes at midnight UTC
+   * @method
+   * @param {Date} date - Date
+   * @returns {number}
+   */
+  static dailySeed(date) {
+    const day = date.toISOString().slice(0, 10);
+    let hash = 0x811C9DC5; // FNV-1a
+    for (let id = 0; id < day.length; id++) {
+      hash = Math.imul(hash ^ day.charCodeAt(id), 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Returns seed games of the challenge must be played with, or null if any seed is allowed
+   * @method
+   * @param {Date=} date - Current date
+   * @returns {?number}
+   */
+  fixedSeed(date = new Date()) {
+    return (this.mode == ChallengeMode.Daily ? Challenge.dailySeed(date) : null);
+  }
+
+  /**
+   * Compares leaderboard entries, a negative number means the first one ranks higher;
+   * Move budget ranks wins by fewest moves, other modes rank by score
+   * @method
+   * @param {!Object} entry1 - Entry
+   * @param {!Object} entry2 - Entry
+   * @returns {number}
+   */
+  compareEntries(entry1, entry2) {
+    if (this.mode == ChallengeMode.MoveBudget) {
+      const won1 = (entry1["result"] == GameResult.Won ? 1 : 0);
+      const won2 = (entry2["result"] == GameResult.Won ? 1 : 0);
+      if (won1 != won2) {
+        return won2 - won1;
+      }
+      if (won1 && entry1["moves"] != entry2["moves"]) {
+        return entry1["moves"] - entry2["moves"];
+      }
+    }
+    return (entry2["score"] - entry1["score"]) || (entry1["moves"] - entry2["moves"]);
+  }
+}
+
+/**
+ * Tracks time and moves of the game played in a challenge and ends it when a limit is reached
+ * @class
+ */
+class ChallengeRun {
+  /**
+   * @constructs ChallengeRun
+   * @method
+   * @param {Challenge} challenge - Challenge
+   * @param {GameState} state - State the game starts from
+   */
+  constructor(challenge, state) {
+    this.challenge = challenge;
+    this.seed = state.seed;
+    this.moves = 0;
+    this.elapsed = 0; // Milliseconds played, the clock starts with the first move
+    this.recorded = false;
+    this.maxFrameTime = 250; // Longer frames, e.g. while the page is hidden, count as this many milliseconds
+  }
+
+  /**
+   * Returns milliseconds left until the time limit
+   * @method
+   * @returns {number}
+   */
+  get timeLeft() {
+    return Math.max(0, this.challenge.timeLimit - this.elapsed);
+  }
+
+  /**
+   * Returns moves left until the move limit
+   * @method
+   * @returns {number}
+   */
+  get movesLeft() {
+    return Math.max(0, this.challenge.moveLimit - this.moves);
+  }
+
+  /**
+   * Advances the clock while the game is played and ends the game if time is up
+   * @method
+   * @param {GameState} state - Current state
+   * @param {number} frameTime - Milliseconds since the previous tick
+   * @returns {boolean} Whether the game has ended
+   */
+  tick(state, frameTime) {
+    if (this.moves > 0 && (state.status == GameStatus.InProgress || state.status == GameStatus.Continued)) {
+      this.elapsed += Math.max(0, Math.min(frameTime, this.maxFrameTime));
+    }
+    return this.update(state);
+  }
+
+  /**
+   * Counts a move which has led to a given state and ends the game if a limit is reached
+   * @method
+   * @param {GameState} state - State after the move
+   * @returns {boolean} Whether the game has ended
+   */
+  recordMove(state) {
+    this.moves++;
+    return this.update(state);
+  }
+
+  /**
+   * Ends the game in a given state if a limit of the challenge is reached
+   * @method
+   * @param {GameState} state - Current state
+   * @returns {boolean} Whether the game has ended
+   */
+  update(state) {
+    const playing = (state.status == GameStatus.InProgress || state.status == GameStatus.Continued);
+    if (playing && this.challenge.timeLimit && this.elapsed >= this.challenge.timeLimit) {
+      this.elapsed = this.challenge.timeLimit;
+      state.setStatus(GameStatus.TimeUp);
+      return true;
+    }
+    if (state.status == GameStatus.InProgress && this.challenge.moveLimit && this.moves >= this.challenge.moveLimit) {
+      state.setStatus(GameStatus.OutOfMoves);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Checks if the run is over and can be ranked, move budget is over once the target tile is reached
+   * @method
+   * @param {GameState} state - Current state
+   * @returns {boolean}
+   */
+  isOver(state) {
+    return (state.isFinished || this.challenge.mode == ChallengeMode.MoveBudget && state.hasAchievedGoal);
+  }
+
+  /**
+   * Returns leaderboard entry of the run ending in a given state, the run is marked as recorded;
+   * The entry includes replay code so that a server can verify it
+   * @method
+   * @param {GameState} state - Final state
+   * @param {string} name - Player name
+   * @param {Date=} date - Date the run has ended
+   * @returns {!Object}
+   */
+  finish(state, name, date = new Date()) {
+    const replay = Replay.fromState(state);
+    this.recorded = true;
+    return {
+      "name": name,
+      "date": date.toISOString(),
+      "seed": state.seed,
+      "result": (state.hasAchievedGoal ? GameResult.Won : GameResult.Lost),
+      "score": state.score,
+      "maxTileLevel": GameStatsCollector.maxTileLevelOf(state),
+      "moves": (state.moveLog ? state.moveLog.length : this.moves), // Undone moves are not counted
+      "duration": this.elapsed,
+      "replay": (replay ? replay.encode() : null),
+    };
+  }
+
+  /**
+   * Returns JSON object with the run's progress
+   * @method
+   * @returns {!Object}
+   */
+  serialize() {
+    return {
+      "seed": this.seed,
+      "moves": this.moves,
+      "elapsed": this.elapsed,
+      "recorded": this.recorded,
+    };
+  }
+
+  /**
+   * Returns run restored from JSON object for the game in a given state or null if it belongs to another game
+   * @method
+   * @param {*} data - JSON object
+   * @param {Challenge} challenge - Challenge
+   * @param {GameState} state - Game state
+   * @returns {?ChallengeRun}
+   */
+  static deserialize(data, challenge, state) {
+    if (!data || data["seed"] !== state.seed || !Number.isInteger(data["moves"]) || !Number.isFinite(data["elapsed"])) {
+      return null;
+    }
+    let run = new ChallengeRun(challenge, state);
+    run.moves = data["moves"];
+    run.elapsed = data["elapsed"];
+    run.recorded = (data["recorded"] === true);
+    return run;
+  }
+}
+
+/**
+ * Represents best runs of a challenge
+ * @class
+ */
+class Leaderboard {
+  /**
+   * @constructs Leaderboard
+   * @method
+   * @param {Challenge} challenge - Challenge ranking the entries
+   * @param {!Array<!Object>=} entries - Leaderboard entries
+   * @param {number=} limit - Maximum number of entries kept
+   */
+  constructor(challenge, entries = [], limit = 10) {
+    this.challenge = challenge;
+    this.limit = limit;
+    this.entries = entries.slice().sort((entry1, entry2) => challenge.compareEntries(entry1, entry2)).slice(0, limit);
+  }
+
+  /**
+   * Adds an entry in its place
+   * @method
+   * @param {!Object} entry - Entry
+   * @returns {number} Zero-based rank of the entry, -1 if it is not good enough to be kept
+   */
+  add(entry) {
+    let rank = 0;
+    while (rank < this.entries.length && this.challenge.compareEntries(this.entries[rank], entry) <= 0) {
+      rank++;
+    }
+    if (rank >= this.limit) {
+      return -1;
+    }
+    this.entries.splice(rank, 0, entry);
+    this.entries = this.entries.slice(0, this.limit);
+    return rank;
+  }
+
+  /**
+   * Returns JSON object with all entries
+   * @method
+   * @returns {!Object}
+   */
+  serialize() {
+    return {
+      "version": 1,
+      "entries": this.entries,
+    };
+  }
+
+  /**
+   * Returns leaderboard restored from JSON object, an empty one if it is malformed
+   * @method
+   * @param {*} data - JSON object
+   * @param {Challenge} challenge - Challenge ranking the entries
+   * @returns {Leaderboard}
+   */
+  static deserialize(data, challenge) {
+    if (!data || data["version"] !== 1 || !Array.isArray(data["entries"])) {
+      return new Leaderboard(challenge);
+    }
+    return new Leaderboard(challenge, data["entries"].filter((entry) => (entry && typeof entry == "object" &&
+      Number.isInteger(entry["score"]) && Number.isInteger(entry["moves"]) && typeof entry["result"] == "string")));
+  }
+
+  /**
+   * Returns id of the challenge of a leaderboard key, e.g. "daily" of "4x4-11-fibonacci-daily",
+   * or null if the key is not of the board configuration and rules of a replayed game
+   * @method
+   * @param {Replay} replay - Replay
+   * @param {string} key - Key of board configuration and challenge, built the same way by the game's settings
+   * @returns {?string}
+   */
+  static challengeIdOfKey(replay, key) {
+    const difficulty = replay.rules.spawnDifficulty;
+    const baseRules = new Rules(Object.assign(replay.rules.serialize(), { "spawnDifficulty": 0 }));
+    const variant = Object.keys(Variants).filter((id) => Rules.byId(id).equals(baseRules))[0];
+    if (variant === undefined) {
+      return null; // Custom rules have no leaderboards
+    }
+    const configKey = replay.rows + "x" + replay.columns + "-" + replay.targetTileLevel +
+      (variant == "classic" ? "" : "-" + variant);
+    const challengeIds = Object.keys(Challenges).filter((id) =>
+      (configKey + (id == "free" ? "" : "-" + id) + (difficulty ? "-evil" + difficulty : "") == key));
+    return (challengeIds.length ? challengeIds[0] : null);
+  }
+
+  /**
+   * Checks that an entry matches the game of its replay code, servers use it to reject forged scores
+   * @method
+   * @param {!Object} entry - Entry
+   * @param {?string=} key - Expected key of board configuration and challenge, e.g. "4x4-11-daily", not checked if omitted
+   * @returns {boolean}
+   */
+  static verifyEntry(entry, key = null) {
+    const replay = (entry && typeof entry["replay"] == "string" ? Replay.decode(entry["replay"]) : null);
+    if (!replay || replay.seed !== entry["seed"] || replay.moves.length !== entry["moves"]) {
+      return false;
+    }
+    const challengeId = (key === null ? null : Leaderboard.challengeIdOfKey(replay, key));
+    if (key !== null && challengeId === null) {
+      return false;
+    }
+    if (challengeId == "daily") {
+      // Daily boards are played with the seed of the day the entry is dated, or of the day before for runs past midnight
+      const time = (typeof entry["date"] == "string" ? new Date(entry["date"]).getTime() : NaN);
+      if (isNaN(time) || [0, 1].every((days) => (replay.seed !== Challenge.dailySeed(new Date(time - days * 86400000))))) {
+        return false;
+      }
+    }
+    let state = replay.initialState();
+    for (let id = 0; id < replay.moves.length; id++) {
+      state.keepPlaying();
+      if (!state.move(replay.moves[id])) {
+        return false;
+      }
+    }
+    const result = (state.hasAchievedGoal ? GameResult.Won : GameResult.Lost);
+    return (state.score === entry["score"] && GameStatsCollector.maxTileLevelOf(state) === entry["maxTileLevel"] &&
+      entry["result"] === result);
+  }
+}
+
+/**
+ * Storage backend of leaderboards
+ * @interface
+ */
+class LeaderboardStore {
+  /**
+   * Returns leaderboard of a given board configuration and challenge
+   * @method
+   * @param {string} key - Key of board configuration and challenge, e.g. "4x4-11-daily"
+   * @param {Challenge} challenge - Challenge ranking the entries
+   * @returns {!Promise<Leaderboard>}
+   */
+  load(key, challenge) {}
+
+  /**
+   * Submits an entry to the leaderboard of a given board configuration and challenge
+   * @method
+   * @param {string} key - Key of board configuration and challenge
+   * @param {Challenge} challenge - Challenge ranking the entries
+   * @param {!Object} entry - Entry
+   * @returns {!Promise<number>} Zero-based rank of the entry, -1 if it is not good enough to be kept
+   */
+  submit(key, challenge, entry) {}
+}
+
+/**
+ * Keeps leaderboards in Web Storage
+ * @class
+ * @implements {LeaderboardStore}
+ */
+class LocalLeaderboardStore {
+  /**
+   * @constructs LocalLeaderboardStore
+   * @method
+   * @param {?Storage} storage - Storage, e.g. localStorage, null if it is disabled
+   * @param {string=} prefix - Prefix of storage keys
+   * @param {number=} limit - Maximum number of entries kept per leaderboard
+   */
+  constructor(storage, prefix = "2048.leaderboard.", limit = 10) {
+    this.storage = storage;
+    this.prefix = prefix;
+    this.limit = limit;
+  }
+
+  /**
+   * Returns leaderboard stored under a given key, an empty one if it is missing or unreadable
+   * @method
+   * @param {string} key - Key of board configuration and challenge
+   * @param {Challenge} challenge - Challenge ranking the entries
+   * @returns {Leaderboard}
+   */
+  read(key, challenge) {
+    let data = null;
+    try {
+      const item = this.storage.getItem(this.prefix + key);
+      data = (item === null ? null : JSON.parse(item));
+    } catch (e) {
+      // Storage is disabled or the value is malformed, the leaderboard starts empty
+    }
+    const leaderboard = Leaderboard.deserialize(data, challenge);
+    return new Leaderboard(challenge, leaderboard.entries, this.limit);
+  }
+
+  /**
+   * @method
+   * @override
+   */
+  load(key, challenge) {
+    return Promise.resolve(this.read(key, challenge));
+  }
+
+  /**
+   * @method
+   * @override
+   */
+  submit(key, challenge, entry) {
+    let leaderboard = this.read(key, challenge);
+    const rank = leaderboard.add(entry);
+    try {
+      this.storage.setItem(this.prefix + key, JSON.stringify(leaderboard.serialize()));
+    } catch (e) {
+      return Promise.reject(e);
+    }
+    return Promise.resolve(rank);
+  }
+}
+
+/**
+ * Keeps leaderboards on a server: GET of <url>/<key> returns a serialized leaderboard,
+ * POST of an entry to the same URL returns {"rank": number}
+ * @class
+ * @implements {LeaderboardStore}
+ */
+class HttpLeaderboardStore {
+  /**
+   * @constructs HttpLeaderboardStore
+   * @method
+   * @param {string} url - Base URL of leaderboards
+   * @param {function(string, !Object): !Promise<!Response>=} fetchFunction - Fetch implementation, called with URL and options
+   */
+  constructor(url, fetchFunction = (resource, options) => fetch(resource, options)) {
+    this.url = url.replace(/\/+$/, "");
+    this.fetch = fetchFunction;
+  }
+
+  /**
+   * Sends a request and returns its parsed JSON response
+   * @method
+   * @param {string} key - Key of board configuration and challenge
+   * @param {!Object=} options - Fetch options
+   * @returns {!Promise<*>}
+   */
+  request(key, options = {}) {
+    return this.fetch(this.url + "/" + encodeURIComponent(key), options).then((response) => {
+      if (!response.ok) {
+        throw new Error("Leaderboard server responded with status " + response.status);
+      }
+      return response.json();
+    });
+  }
+
+  /**
+   * @method
+   * @override
+   */
+  load(key, challenge) {
+    return this.request(key).then((data) => Leaderboard.deserialize(data, challenge));
+  }
+
+  /**
+   * @method
+   * @override
+   */
+  submit(key, challenge, entry) {
+    return this.request(key, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(entry),
+    }).then((data) => (data && Number.isInteger(data["rank"]) ? data["rank"] : -1));
+  }
+}
+
+/**
+ * Enum for win conditions of versus matches
+ * @enum {string}
+ */
+const VersusMode = {
+  Race: "race", // First player to reach the target tile wins, a player who can not move loses
+  Timed: "timed", // Higher score when time is up wins
+}
+
+/**
+ * Represents two-player match on boards with the same seed, so both players face the same spawns
+ * @class
+ */
+class VersusMatch {
+  /**
+   * @constructs VersusMatch
+   * @method
+   * @param {number} rows - Number of rows on boards
+   * @param {number} columns - Number of columns on boards
+   * @param {number} targetTileLevel - Tile level to win a race
+   * @param {number} seed - Seed of both boards
+   * @param {Rules=} rules - Rules of the game variant
+   * @param {!Object=} data - Match options: "mode", "timeLimit" in milliseconds and "garbageLevel",
+   *   merges reaching garbage level send a tile to the opponent, 0 disables garbage
+   */
+  constructor(rows, columns, targetTileLevel, seed, rules = new Rules(), data = {}) {
+    this.mode = data["mode"] || VersusMode.Race;
+    this.timeLimit = data["timeLimit"] || 120000;
+    this.garbageLevel = data["garbageLevel"] || 0;
+    this.seed = seed;
+    this.states = [0, 1].map(() => new GameState(rows, columns, targetTileLevel, new Random(seed), rules));
+    this.garbageRandoms = [0, 1].map(() => new Random((seed ^ 0x9E3779B9) >>> 0)); // Garbage lands alike on both boards
+    this.pendingGarbage = [0, 0];
+    this.elapsed = 0;
+    this.winner = null; // Index of the winning player, -1 for a draw, null while the match goes on
+    this.states.forEach((state, player) => {
+      state.events.on(GameEvent.Merge, (payload) => {
+        if (this.garbageLevel && payload["level"] >= this.garbageLevel) {
+          this.pendingGarbage[1 - player]++;
+        }
+      });
+    });
+  }
+
+  /**
+   * Checks if the match has a result
+   * @method
+   * @returns {boolean}
+   */
+  get isOver() {
+    return (this.winner !== null);
+  }
+
+  /**
+   * Returns milliseconds left in a timed match
+   * @method
+   * @returns {number}
+   */
+  get timeLeft() {
+    return Math.max(0, this.timeLimit - this.elapsed);
+  }
+
+  /**
+   * Does a move of a player and sends garbage made by it to the opponent;
+   * Returns true if the player's board has changed
+   * @method
+   * @param {number} player - Index of the player, 0 or 1
+   * @param {Direction} direction - Direction to move to
+   * @returns {boolean}
+   */
+  move(player, direction) {
+    let state = this.states[player];
+    if (this.isOver || state.isFinished || !state.move(direction)) {
+      return false;
+    }
+    if (state.status == GameStatus.Won && this.mode == VersusMode.Timed) {
+      state.keepPlaying(); // Only the score counts
+    }
+    const opponent = 1 - player;
+    for (; this.pendingGarbage[opponent] > 0; this.pendingGarbage[opponent]--) {
+      this.states[opponent].addTile(1, this.garbageRandoms[opponent]);
+    }
+    this.updateResult();
+    return true;
+  }
+
+  /**
+   * Advances the clock of a timed match once a player has moved
+   * @method
+   * @param {number} deltaTime - Milliseconds
+   */
+  tick(deltaTime) {
+    const started = this.states.some((state) => (state.moveLog === null || state.moveLog.length > 0));
+    if (this.mode == VersusMode.Timed && started && !this.isOver) {
+      this.elapsed = Math.min(this.elapsed + deltaTime, this.timeLimit);
+      this.updateResult();
+    }
+  }
+
+  /**
+   * Decides the match once its win condition is met
+   * @method
+   */
+  updateResult() {
+    if (this.isOver) {
+      return;
+    }
+    const finished = this.states.map((state) => state.isFinished);
+    const scores = this.states.map((state) => state.score);
+    const byScore = (scores[0] == scores[1] ? -1 : (scores[0] > scores[1] ? 0 : 1));
+    if (this.mode == VersusMode.Race) {
+      const reached = this.states.map((state) => state.hasAchievedGoal);
+      if (reached[0] || reached[1]) {
+        this.winner = (reached[0] ? 0 : 1); // Players move one at a time, only one can reach it first
+      } else if (finished[0] && finished[1]) {
+        this.winner = byScore;
+      } else if (finished[0] || finished[1]) {
+        this.winner = (finished[0] ? 1 : 0);
+      }
+    } else if (this.elapsed >= this.timeLimit || finished[0] && finished[1]) {
+      this.winner = byScore;
+    }
+  }
+}
+
+/**
+ * URL of the engine script, solver worker runs a copy of it
+ * @type {?string}
+ */
+const engineScriptUrl = (typeof document !== "undefined" && document.currentScript ? document.currentScript.src : null);
+
+/**
+ * Solver worker main function
+ * @function
+ */
+function solverWorkerMain() {
+  self.addEventListener("message", (event) => {
+    const state = GameState.deserialize(event.data["state"]);
+    const direction = (state ? new Solver(event.data["depth"]).bestMove(state) : null);
+    self.postMessage({ "id": event.data["id"], "direction": direction });
+  });
+}
+
+if (typeof importScripts == "function") {
+  solverWorkerMain();
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    Direction: Direction,
+    GameStatus: GameStatus,
+    StatusText: StatusText,
+    TileStatus: TileStatus,
+    TileKind: TileKind,
+    RandomSpawnStrategy: RandomSpawnStrategy,
+    AdversarialSpawnStrategy: AdversarialSpawnStrategy,
+    GameEvent: GameEvent,
+    EventEmitter: EventEmitter,
+    MathUtils: MathUtils,
+    SaveFormat: SaveFormat,
+    Random: Random,
+    Tile: Tile,
+    GameState: GameState,
+    Replay: Replay,
+    Base64Url: Base64Url,
+    ReplayPlayer: ReplayPlayer,
+    Solver: Solver,
+    MergeRule: MergeRule,
+    Variants: Variants,
+    Rules: Rules,
+    GameResult: GameResult,
+    GameStatsCollector: GameStatsCollector,
+    GameStats: GameStats,
+    ChallengeMode: ChallengeMode,
+    Challenges: Challenges,
+    Challenge: Challenge,
+    ChallengeRun: ChallengeRun,
+    Leaderboard: Leaderboard,
+    LocalLeaderboardStore: LocalLeaderboardStore,
+    HttpLeaderboardStore: HttpLeaderboardStore,
+    VersusMode: VersusMode,
+    VersusMatch: VersusMatch,
+  };
+}
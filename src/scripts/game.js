@@ -1,413 +1,494 @@
 'use strict';
 
 /**
- * Enum for directions
+ * Enum for game commands
  * @enum {string}
  */
-const Direction = {
-  Right: "right",
-  Up: "up",
-  Left: "left",
-  Down: "down",
+const Command = {
+  Undo: "undo",
+  Redo: "redo",
+  Restart: "restart",
+  Hint: "hint",
+  Continue: "continue",
+  Pause: "pause", // Toggles pause
+  Resume: "resume",
 }
 
 /**
- * Enum for game status
- * @enum {string}
- */
-const GameStatus = {
-  InProgress: "inProgress",
-  Won: "won",
-  Continued: "continued",
-  Lost: "lost",
-}
-
-/**
- * Enum for tile status
- * @enum {string}
- */
-const TileStatus = {
-  Empty: "empty",
-  Spawned: "spawned",
-  Still: "still",
-  Moved: "moved",
-  Merged: "merged",
-}
-
-/**
- *  @type {Object}
+ * Keys moving the board, each player of versus mode gets one set
+ * @type {!Object<string, !Object<string, Direction>>}
  */
-let MathUtils = {
-  randomInRange: function(n) {
-    return Math.min(n - 1, Math.floor(Math.random() * n));
-  }
-}
+const KeyMappings = {
+  "wasd": { "KeyW": Direction.Up, "KeyA": Direction.Left, "KeyS": Direction.Down, "KeyD": Direction.Right },
+  "arrows": { "ArrowUp": Direction.Up, "ArrowLeft": Direction.Left, "ArrowDown": Direction.Down, "ArrowRight": Direction.Right },
+};
+KeyMappings["all"] = Object.assign({}, KeyMappings["wasd"], KeyMappings["arrows"]);
 
 /**
- * Represents a tile
+ * Represents board configuration chosen by player
  * @class
  */
-class Tile {
+class GameSettings {
   /**
-   * @constructs Tile
-   * @param {number} index - Index of tile on board
+   * @constructs GameSettings
+   * @method
+   * @param {number=} rows - Number of rows on board
+   * @param {number=} columns - Number of columns on board
+   * @param {number=} targetTileLevel - Tile level to win the game
+   * @param {string=} variant - Id of game variant
+   * @param {string=} challenge - Id of challenge
+   * @param {number=} difficulty - Percent of tiles spawned where they hurt most, 0 for random spawns
    */
-  constructor(index) {
-    this.index = index;
-    this.level = null;
-    this.prevIndex = null;
-    this.prevLevel = null;
-    this.status = TileStatus.Empty;
+  constructor(rows = 4, columns = 4, targetTileLevel = 11, variant = "classic", challenge = "free", difficulty = 0) {
+    this.rows = rows;
+    this.columns = columns;
+    this.targetTileLevel = targetTileLevel;
+    this.variant = variant;
+    this.challenge = challenge;
+    this.difficulty = difficulty;
   }
 
   /**
-   * Resets tile to an empty state
+   * Returns rules of the game variant with the spawn difficulty
    * @method
+   * @returns {Rules}
    */
-  reset() {
-    this.level = null;
-    this.prevIndex = null;
-    this.prevLevel = null;
-    this.status = TileStatus.Empty;
+  get rules() {
+    const rules = Rules.byId(this.variant);
+    return (this.difficulty ? new Rules(Object.assign(rules.serialize(), { "spawnDifficulty": this.difficulty })) : rules);
   }
 
   /**
-   * Checks if tile is empty
+   * Returns end conditions and ranking of the challenge
    * @method
-   * @returns {boolean}
+   * @returns {Challenge}
    */
-  get isEmpty() {
-    return (this.status == TileStatus.Empty);
+  get challengeRules() {
+    return Challenge.byId(this.challenge);
   }
 
   /**
-   * Checks if tile is able to merge
+   * Returns key identifying the configuration, e.g. "4x4-11", "4x4-11-fibonacci", "4x4-11-fibonacci-daily"
+   * or "4x4-11-evil50"
    * @method
-   * @returns {boolean}
+   * @returns {string}
    */
-  get ableToMerge() {
-    return (this.status != TileStatus.Merged && this.status != TileStatus.Empty);
+  get key() {
+    const suffix = (this.variant == "classic" ? "" : "-" + this.variant) + (this.challenge == "free" ? "" : "-" + this.challenge) +
+      (this.difficulty ? "-evil" + this.difficulty : "");
+    return this.rows + "x" + this.columns + "-" + this.targetTileLevel + suffix;
   }
 
   /**
-   * Returns increment of game score after creating the tile via merge
+   * Returns URL query string representation of the configuration
    * @method
-   * @returns {?number}
+   * @returns {string}
    */
-  get scoreValue() {
-    if (this.isEmpty) {
-      return null;
-    } else {
-      return Math.pow(2, this.level);
-    }
+  toQuery() {
+    const variant = (this.variant == "classic" ? "" : "&variant=" + this.variant);
+    const challenge = (this.challenge == "free" ? "" : "&challenge=" + this.challenge);
+    const difficulty = (this.difficulty ? "&evil=" + this.difficulty : "");
+    return "?rows=" + this.rows + "&columns=" + this.columns + "&target=" + this.rules.tileValue(this.targetTileLevel) +
+      variant + challenge + difficulty;
   }
 
   /**
-   * Prepares tile for move
+   * Returns configuration described by URL query string, invalid parameters are replaced with defaults
    * @method
+   * @param {string} query - Query string, e.g. "?rows=3&columns=5&target=1024&variant=decay&challenge=daily&evil=50"
+   * @returns {GameSettings}
    */
-  prepareForMove() {
-    if (!this.isEmpty) {
-      this.prevIndex = [this.index];
-      this.prevLevel = [this.level];
-      this.status = TileStatus.Still;
+  static fromQuery(query) {
+    let settings = new GameSettings();
+    const params = new URLSearchParams(query);
+    const rows = parseInt(params.get("rows"), 10);
+    const columns = parseInt(params.get("columns"), 10);
+    const variant = params.get("variant");
+    if (Variants.hasOwnProperty(variant)) {
+      settings.variant = variant;
+    }
+    const challenge = params.get("challenge");
+    if (Challenges.hasOwnProperty(challenge)) {
+      settings.challenge = challenge;
+    }
+    const difficulty = parseInt(params.get("evil"), 10);
+    if (0 <= difficulty && difficulty <= 100) {
+      settings.difficulty = difficulty;
+    }
+    const target = parseInt(params.get("target"), 10);
+    const targetTileLevel = GameSettings.targetTileLevels.filter((level) => (settings.rules.tileValue(level) === target))[0];
+    if (GameSettings.sizes.indexOf(rows) != -1) {
+      settings.rows = rows;
     }
+    if (GameSettings.sizes.indexOf(columns) != -1) {
+      settings.columns = columns;
+    }
+    if (GameSettings.targetTileLevels.indexOf(targetTileLevel) != -1) {
+      settings.targetTileLevel = targetTileLevel;
+    }
+    return settings;
   }
 
   /**
-   * Sets level of tile to value 1 with 90% chance or to value 2 with 10% chance
+   * Returns allowed numbers of rows and columns
    * @method
+   * @returns {!Array<number>}
    */
-  spawn() {
-    this.level = 1 + Math.floor(MathUtils.randomInRange(10) / 9);
-    this.status = TileStatus.Spawned;
+  static get sizes() {
+    return [2, 3, 4, 5, 6, 7, 8];
   }
 
   /**
-   * Merges with another tile by increaing its level and resetting itself
-   * @param {Tile} tile - Tile to merge with
+   * Returns allowed target tile levels
    * @method
+   * @returns {!Array<number>}
    */
-  mergeWith(tile) {
-    if (!this.isEmpty) {
-      tile.level++;
-      tile.prevIndex.push(this.prevIndex[0]);
-      tile.prevLevel.push(this.prevLevel[0]);
-      tile.status = TileStatus.Merged;
-      this.reset();
-    }
+  static get targetTileLevels() {
+    return [5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17];
   }
+}
 
+/**
+ * Represents a group of event listeners which can be removed at once
+ * @class
+ */
+class ListenerGroup {
   /**
-   * Moves to another tile by overwriting its parameters and resetting itself
-   * @param {Tile} tile - Tile to move to
+   * @constructs ListenerGroup
    * @method
    */
-  moveTo(tile) {
-    if (!this.isEmpty) {
-      tile.level = this.level;
-      tile.prevLevel = this.prevLevel;
-      tile.prevIndex = this.prevIndex;
-      tile.status = TileStatus.Moved;
-      this.reset();
-    }
+  constructor() {
+    this.listeners = [];
   }
 
   /**
-   * Checks if tile is same as another tile
-   * @param {Tile} tile - Tile to compare with
+   * Adds event listener to a target
    * @method
-   * @returns {boolean}
+   * @param {EventTarget} target - Event target
+   * @param {string} type - Event type
+   * @param {function(Object)} listener - Listener
+   * @param {(boolean|!AddEventListenerOptions)=} options - Capture flag or listener options
    */
-  equals(tile) {
-    return (this.index === tile.index && this.level === tile.level);
+  add(target, type, listener, options = false) {
+    target.addEventListener(type, listener, options);
+    this.listeners.push({ target: target, type: type, listener: listener, options: options });
   }
 
   /**
-   * Returns a clone of the tile
+   * Removes all added event listeners
    * @method
-   * @returns {Tile} 
    */
-  clone() {
-    let clonedTile = new Tile(this.index);
-    clonedTile.level = this.level;
-    clonedTile.prevLevel = this.prevLevel;
-    clonedTile.prevIndex = this.prevIndex;
-    clonedTile.status = this.status;
-    return clonedTile;
+  removeAll() {
+    for (let id = 0; id < this.listeners.length; id++) {
+      const entry = this.listeners[id];
+      entry.target.removeEventListener(entry.type, entry.listener, entry.options);
+    }
+    this.listeners = [];
   }
 }
 
 /**
- * Represents game state
+ * Represents undo and redo history of game states
  * @class
  */
-class GameState {
+class GameHistory {
   /**
-   * @constructs GameState
-   * @param {number} rows - Number of rows on board
-   * @param {number} columns - Number of columns on board
-   * @param {number} targetTileLevel - Tile level to win the game 
+   * @constructs GameHistory
    * @method
+   * @param {number} limit - Maximum number of moves that can be undone, 0 disables undo
    */
-  constructor(rows, columns, targetTileLevel) {
-    this.rows = rows;
-    this.columns = columns;
-    this.targetTileLevel = targetTileLevel;
-    this.tiles = [];
-    for (let index = 0; index < this.boardSize; index++) {
-      this.tiles.push(new Tile(index));
-    }
-    this.score = 0;
-    this.status = GameStatus.InProgress;
-    this.spawnTile();
-    this.spawnTile();
+  constructor(limit) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
   }
 
   /**
-   * Returns size of board
+   * Checks if there is a state to go back to
    * @method
-   * @returns {number}
+   * @returns {boolean}
    */
-  get boardSize() {
-    return (this.rows * this.columns);
+  get canUndo() {
+    return (this.undoStack.length > 0);
   }
 
   /**
-   * Checks if given index is inside board
-   * @param {number} index - Index to check
+   * Checks if there is an undone state to go forward to
    * @method
    * @returns {boolean}
    */
-  isInsideBoard(index) {
-    return (0 <= index && index < this.boardSize);
+  get canRedo() {
+    return (this.redoStack.length > 0);
   }
 
   /**
-   * Checks if two given indicies are neighboring
-   * @param {number} index1 - First index 
-   * @param {number} index2 - Second index
+   * Remembers state preceding a move and forgets undone states
    * @method
-   * @returns {boolean}
+   * @param {GameState} state - State before the move
    */
-  areNeighboring(index1, index2) {
-    const dRow = Math.floor(index2 / this.columns) - Math.floor(index1 / this.columns);
-    const dCol = index2 % this.columns - index1 % this.columns;
-    return (Math.abs(dRow) == 1 && Math.abs(dCol) == 0 || Math.abs(dRow) == 0 && Math.abs(dCol) == 1);
+  push(state) {
+    this.redoStack = [];
+    if (this.limit > 0) {
+      this.undoStack.push(state);
+      if (this.undoStack.length > this.limit) {
+        this.undoStack.shift();
+      }
+    }
   }
 
   /**
-   * Checks if there are no empty tiles on board
+   * Returns previous state or null if there is none
    * @method
-   * @returns {boolean}
+   * @param {GameState} state - Current state
+   * @returns {?GameState}
    */
-  get isFull() {
-    let result = true;
-    for (let index = 0; index < this.boardSize; index++) {
-      if (this.tiles[index].isEmpty) {
-        result = false;
-        break;
-      }
+  undo(state) {
+    if (!this.canUndo) {
+      return null;
     }
-    return result;
+    this.redoStack.push(state);
+    return this.undoStack.pop();
   }
 
   /**
-   * Returns a clone of the game state
+   * Returns last undone state or null if there is none
    * @method
-   * @returns {GameState} 
+   * @param {GameState} state - Current state
+   * @returns {?GameState}
    */
-  clone() {
-    let clonedState = new GameState(this.rows, this.columns, this.targetTileLevel);
-    clonedState.score = this.score;
-    clonedState.tiles = [];
-    for (let index = 0; index < this.boardSize; index++) {
-      clonedState.tiles.push(this.tiles[index].clone());
+  redo(state) {
+    if (!this.canRedo) {
+      return null;
     }
-    return clonedState;
+    this.undoStack.push(state);
+    return this.redoStack.pop();
   }
 
   /**
-   * Checks if game state is same as another game state
-   * @param {GameState} state - State to compare with
+   * Forgets all states
    * @method
-   * @returns {boolean}
    */
-  equals(state) {
-    let result = (this.score === state.score && this.rows === state.rows && this.columns === state.columns);
-    if (result) {
-      for (let index = 0; index < this.boardSize; index++) {
-        if (!this.tiles[index].equals(state.tiles[index])) {
-          result = false;
-          break;
-        }
-      }
-    }
-    return result;
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
   }
+}
 
+/**
+ * Represents persistent game storage backed by localStorage
+ * @class
+ */
+class GameStorage {
   /**
-   * Checks if game is lost
+   * @constructs GameStorage
    * @method
-   * @returns {boolean}
+   * @param {string} configKey - Key of board configuration, games and best scores are kept separately for each one
+   * @param {string=} namespace - Namespace keeping data of embedded games apart from the page's one and each other
    */
-  get isGameOver() {
-    let dead = this.isFull;
-    if (dead) {
-      for (let dir in Direction) {
-        if (this.clone().move(Direction[dir])) {
-          dead = false;
-          break;
-        }
-      }
+  constructor(configKey, namespace = "") {
+    this.prefix = "2048." + (namespace ? namespace + "." : "");
+    this.configKey = configKey;
+    try {
+      this.storage = window.localStorage;
+    } catch (e) {
+      this.storage = null; // Storage is disabled, nothing is persisted
+    }
+    if (!namespace) {
+      this.migrateLegacyKeys(); // Legacy keys were never namespaced
     }
-    return dead;
   }
 
   /**
-   * Checks if tile level needed to win the game is achieved
+   * Moves game and best score saved before they were kept per configuration to their new keys
    * @method
-   * @return {boolean}
    */
-  get hasAchievedGoal() {
-    let won = false;
-    for (let index = 0; index < this.boardSize; index++) {
-      if (this.tiles[index].level >= this.targetTileLevel) {
-        won = true;
-        break;
+  migrateLegacyKeys() {
+    const game = this.read("game");
+    if (game !== null) {
+      const state = GameState.deserialize(game);
+      if (state) {
+        const settings = new GameSettings(state.rows, state.columns, state.targetTileLevel); // Only classic games are legacy
+        this.write("game." + settings.key, state.serialize());
       }
+      this.write("game", null);
+    }
+    const bestScore = this.read("bestScore");
+    if (bestScore !== null) {
+      if (this.read("bestScore." + new GameSettings().key) === null) {
+        this.write("bestScore." + new GameSettings().key, bestScore);
+      }
+      this.write("bestScore", null);
     }
-    return won;
   }
 
   /**
-   * Updates game status
+   * Returns parsed value stored under a given key or null if there is none
    * @method
+   * @param {string} key - Key
+   * @returns {*}
    */
-  updateStatus() {
-    if (this.isGameOver) {
-      this.status = GameStatus.Lost;
-    } else if (this.status == GameStatus.InProgress && this.hasAchievedGoal) {
-      this.status = GameStatus.Won;
-    } else if (this.status == GameStatus.Won) {
-      this.status = GameStatus.Continued;
+  read(key) {
+    try {
+      const item = this.storage.getItem(this.prefix + key);
+      return (item === null ? null : JSON.parse(item));
+    } catch (e) {
+      return null;
     }
   }
 
   /**
-   * Spawns new tile on board
+   * Stores value under a given key
+   * @method
+   * @param {string} key - Key
+   * @param {*} value - Value, the key is removed if it is null
    */
-  spawnTile() {
-    if (!this.isFull) {
-      let index;
-      do {
-        index = MathUtils.randomInRange(this.boardSize);
-      } while (!this.tiles[index].isEmpty);
-      this.tiles[index].spawn();
+  write(key, value) {
+    try {
+      if (value === null) {
+        this.storage.removeItem(this.prefix + key);
+      } else {
+        this.storage.setItem(this.prefix + key, JSON.stringify(value));
+      }
+    } catch (e) {
+      // Storage is unavailable or full, the game goes on without saving
     }
   }
 
   /**
-   * Gravitates tile to a given direction
-   * @param {number} index - Index of the tile 
-   * @param {number} indexChange - Index change to get to the next tile
+   * Returns saved game or null; Saves that can not be restored are discarded
    * @method
+   * @returns {?GameState}
    */
-  gravitateTile(index, indexChange) {
-    const nextIndex = index + indexChange;
-    let tile = this.tiles[index];
-    let nextTile = this.tiles[nextIndex];
-    if (this.isInsideBoard(nextIndex) && this.areNeighboring(index, nextIndex)) {
-      if (!nextTile.isEmpty) {
-        this.gravitateTile(nextIndex, indexChange);
-      }
-      if (nextTile.isEmpty) {
-        tile.moveTo(nextTile);
-        this.gravitateTile(nextIndex, indexChange);
-      } else if (tile.ableToMerge && nextTile.ableToMerge && tile.level == nextTile.level) {
-        tile.mergeWith(nextTile);
-        this.score += nextTile.scoreValue;
-      }
+  loadGame() {
+    const data = this.read("game." + this.configKey);
+    const state = GameState.deserialize(data);
+    if (!state && data !== null) {
+      this.write("game." + this.configKey, null);
     }
+    return state;
   }
 
   /**
-   * Gravitates all tiles on board to a given direction
-   * @param {Direction} direction - Direction of gravitation
+   * Saves game
    * @method
+   * @param {GameState} state - State to save
    */
-  gravitate(direction) {
-    let indexChange = {}
-    indexChange[Direction.Right] = 1;
-    indexChange[Direction.Up] = -this.columns;
-    indexChange[Direction.Left] = -1;
-    indexChange[Direction.Down] = this.columns;
+  saveGame(state) {
+    this.write("game." + this.configKey, state.serialize());
+  }
 
-    for (let index = 0; index < this.boardSize; index++) {
-      this.tiles[index].prepareForMove();
-    }
+  /**
+   * Returns id of saved theme or null
+   * @method
+   * @returns {?string}
+   */
+  loadTheme() {
+    const theme = this.read("theme");
+    return (typeof theme == "string" ? theme : null);
+  }
 
-    for (let index = 0; index < this.boardSize; index++) {
-      this.gravitateTile(index, indexChange[direction]);
-    }
+  /**
+   * Saves id of selected theme, it is shared by all configurations
+   * @method
+   * @param {string} theme - Theme id
+   */
+  saveTheme(theme) {
+    this.write("theme", theme);
   }
 
   /**
-   * Does a move in a given direction;
-   * Returns true if game state has changed;
-   * @param {Direction} direction - Direction to move to
-   * @returns {boolean}
+   * Returns statistics of finished games, they are shared by all configurations
+   * @method
+   * @returns {GameStats}
    */
-  move(direction) {
-    let oldState = this.clone();
-    this.gravitate(direction);
-    if (!this.equals(oldState)) {
-      this.spawnTile();
-      this.updateStatus();
-      return true;
-    } else {
-      return false;
-    }
+  loadStats() {
+    return GameStats.deserialize(this.read("stats"));
+  }
+
+  /**
+   * Saves statistics of finished games
+   * @method
+   * @param {GameStats} stats - Statistics
+   */
+  saveStats(stats) {
+    this.write("stats", stats.serialize());
+  }
+
+  /**
+   * Returns statistics collected for a given saved game or null
+   * @method
+   * @param {GameState} state - Saved game
+   * @returns {?GameStatsCollector}
+   */
+  loadStatsCollector(state) {
+    return GameStatsCollector.deserialize(this.read("statsGame." + this.configKey), state);
+  }
+
+  /**
+   * Saves statistics collected for the current game
+   * @method
+   * @param {GameStatsCollector} collector - Collector
+   */
+  saveStatsCollector(collector) {
+    this.write("statsGame." + this.configKey, collector.serialize());
+  }
+
+  /**
+   * Returns progress of a challenge for a given saved game or null
+   * @method
+   * @param {Challenge} challenge - Challenge
+   * @param {GameState} state - Saved game
+   * @returns {?ChallengeRun}
+   */
+  loadChallengeRun(challenge, state) {
+    return ChallengeRun.deserialize(this.read("challenge." + this.configKey), challenge, state);
+  }
+
+  /**
+   * Saves progress of a challenge for the current game
+   * @method
+   * @param {ChallengeRun} run - Challenge run
+   */
+  saveChallengeRun(run) {
+    this.write("challenge." + this.configKey, run.serialize());
+  }
+
+  /**
+   * Returns name the player has entered for leaderboards, it is shared by all configurations
+   * @method
+   * @returns {string}
+   */
+  loadPlayerName() {
+    const name = this.read("playerName");
+    return (typeof name == "string" ? name : "");
+  }
+
+  /**
+   * Saves name the player has entered for leaderboards
+   * @method
+   * @param {string} name - Player name
+   */
+  savePlayerName(name) {
+    this.write("playerName", name);
+  }
+
+  /**
+   * Returns saved best score
+   * @method
+   * @returns {number}
+   */
+  loadBestScore() {
+    const bestScore = this.read("bestScore." + this.configKey);
+    return (typeof bestScore == "number" && Number.isInteger(bestScore) ? bestScore : 0);
+  }
+
+  /**
+   * Saves best score
+   * @method
+   * @param {number} bestScore - Best score
+   */
+  saveBestScore(bestScore) {
+    this.write("bestScore." + this.configKey, bestScore);
   }
 }
 
@@ -422,26 +503,59 @@ class GameGraphicsController {
    * @param {Element} canvas - Canvas
    * @param {number} rows - Number of rows on board
    * @param {number} columns - Number of columns on board 
+   * @param {Theme} theme - Color theme
    */
-  constructor(canvas, rows, columns) {
+  constructor(canvas, rows, columns, theme) {
     this.canvas = canvas;
     this.context = this.canvas.getContext("2d");
     this.rows = rows;
     this.columns = columns;
+    this.theme = theme;
+    this.rules = new Rules(); // Rules of the drawn state
     this.marginToTileSizeRatio = 1 / 8;
     this.margin = null;
     this.tileSize = null;
-    this.dimensions = { x: null, y: null };
+    /** @type {{x: number, y: number}} */
+    this.dimensions = { x: 0, y: 0 }; // Board size in CSS pixels, set by resize()
+    this.pixelRatio = null;
+    this.pixelRatioListeners = new ListenerGroup();
+    this.invalidated = true; // Whether the board must be redrawn even if nothing drawn on it has changed
     this.resize();
-    window.addEventListener("resize", () => { this.resize(); });
+    this.listeners = new ListenerGroup();
+    this.listeners.add(window, "resize", () => { this.resize(); });
+  }
+
+  /**
+   * Stops reacting to window resizing
+   * @method
+   */
+  destroy() {
+    this.listeners.removeAll();
+    this.pixelRatioListeners.removeAll();
+  }
+
+  /**
+   * Listens for the device pixel ratio to change from its current value, e.g. on zoom
+   * or when the window is moved to another display
+   * @method
+   */
+  watchPixelRatio() {
+    this.pixelRatioListeners.removeAll();
+    if (window.matchMedia) {
+      const query = window.matchMedia("(resolution: " + this.pixelRatio + "dppx)");
+      this.pixelRatioListeners.add(query, "change", () => { this.resize(); });
+    }
   }
 
   /**
-   * Window resize event handler
+   * Window resize event handler;
+   * Backing store is scaled by the device pixel ratio while layout stays in CSS pixels
    * @method
    */
   resize() {
-    const maxWidth = window.innerWidth * 0.7;
+    const pixelRatio = window.devicePixelRatio || 1;
+    const parentWidth = (this.canvas.parentElement ? this.canvas.parentElement.clientWidth : 0) || Infinity;
+    const maxWidth = Math.min(window.innerWidth * 0.7, parentWidth); // Embedded boards fit their element
     const maxHeight = window.innerHeight * 0.7;
     const ratio = 1 / this.marginToTileSizeRatio;
     const aspectRatio = (1 + this.columns * (1 + ratio)) / (1 + this.rows * (1 + ratio));
@@ -451,13 +565,19 @@ class GameGraphicsController {
     this.margin = width / (1 + this.columns * (1 + ratio));
     this.tileSize = this.margin * ratio;
     this.canvas.style.width = width + "px";
-    this.canvas.width = width;
+    this.canvas.width = Math.round(width * pixelRatio);
     this.canvas.style.height = height + "px";
-    this.canvas.height = height;
+    this.canvas.height = Math.round(height * pixelRatio);
+    this.context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
     this.dimensions = {
       x: width,
       y: height,
     };
+    if (pixelRatio != this.pixelRatio) {
+      this.pixelRatio = pixelRatio;
+      this.watchPixelRatio();
+    }
+    this.invalidated = true; // Resizing clears the canvas
   }
 
   /**
@@ -520,7 +640,7 @@ class GameGraphicsController {
     this.context.textAlign = "center";
     this.context.textBaseline = "middle";
     this.context.fillStyle = color;
-    this.context.font = height * 2 / 3 + "px Arial";
+    this.context.font = height * 2 / 3 + "px " + this.theme.fonts["tile"];
     this.context.fillText(text, x + width / 2, y + height / 2, width);
   }
 
@@ -531,15 +651,13 @@ class GameGraphicsController {
   drawBackground() {
     const dx = this.dimensions.x;
     const dy = this.dimensions.y;
-    const marginColor = "#BBADA0";
     this.context.clearRect(0, 0, this.dimensions.x, this.dimensions.y);
-    this.drawRoundRectangle(0, 0, dx, dy, marginColor, dx / 50);
+    this.drawRoundRectangle(0, 0, dx, dy, this.theme.board, dx / 50);
     for (let row = 0; row < this.rows; row++) {
       for (let col = 0; col < this.columns; col++) {
         const x = this.margin + col * (this.tileSize + this.margin);
         const y = this.margin + row * (this.tileSize + this.margin);
-        const emptyTileColor = "#CDC1B4";
-        this.drawRoundRectangle(x, y, this.tileSize, this.tileSize, emptyTileColor, this.tileSize / 25);
+        this.drawRoundRectangle(x, y, this.tileSize, this.tileSize, this.theme.emptyTile, this.tileSize / 25);
       }
     }
   }
@@ -547,51 +665,41 @@ class GameGraphicsController {
   /**
    * Returns color of a tile with a given level
    * @method
-   * @param {?number} tileLevel - Level of tile 
+   * @param {number} tileLevel - Level of tile 
    * @returns {string}
    */
   getTileColor(tileLevel) {
-    const tileColors = [
-      "#EEE4DA", //2
-      "#EDE0C8", //4
-      "#F2B179", //8
-      "#F59563", //16
-      "#F67C5F", //32
-      "#F76E4F", //64
-      "#EDCF72", //128
-      "#EDCC61", //256
-      "#EDC850", //512
-      "#EDC53F", //1024
-      "#EDC22E", //2048
-    ];
-    if (tileLevel > 11)
-      return tileColors[10]; // 4096, 8192, ...
-    else
-      return tileColors[tileLevel - 1]; // 2, 4, ..., 2048
+    return this.theme.getTileColor(tileLevel);
   }
 
   /**
    * Returns text of a tile with a given level
    * @method
-   * @param {?number} tileLevel - Level of tile 
+   * @param {number} tileLevel - Level of tile 
    * @returns {string}
    */
   getTileText(tileLevel) {
-    const multipliers = ["", "K", "M"];
-    return Math.pow(2, tileLevel % 10).toString() + multipliers[Math.floor(tileLevel / 10)];
+    const multipliers = ["", "K", "M", "G"];
+    const powersOfTwo = (this.rules.merge == MergeRule.Powers);
+    const base = (powersOfTwo ? 1024 : 1000);
+    const limit = (powersOfTwo ? base : 10 * base); // Other values are shortened once they have five digits
+    let value = this.rules.tileValue(tileLevel);
+    let id = 0;
+    while (value >= limit && id < multipliers.length - 1) {
+      value = Math.floor(value / base);
+      id++;
+    }
+    return value.toString() + multipliers[id];
   }
 
   /**
    * Returns text color of a tile with a given level
    * @method
-   * @param {?number} tileLevel - Level of tile 
+   * @param {number} tileLevel - Level of tile 
    * @returns {string}
    */
   getTileTextColor(tileLevel) {
-    if (tileLevel > 2)
-      return "#F9F6F2"; // 8, 16, ...
-    else
-      return "#776E65"; // 2 or 4
+    return this.theme.getTileTextColor(tileLevel);
   }
 
   /**
@@ -601,11 +709,14 @@ class GameGraphicsController {
    * @param {number} col - Column of tile
    * @param {?number} tileLevel - Level of tile
    * @param {number=} scale - Scale 
+   * @param {TileKind=} kind - Kind of tile
    */
-  drawTile(row, col, tileLevel, scale = 1) {
-    const color = this.getTileColor(tileLevel);
-    const text = this.getTileText(tileLevel);
-    const textColor = this.getTileTextColor(tileLevel);
+  drawTile(row, col, tileLevel, scale = 1, kind = TileKind.Number) {
+    const special = this.theme.specialTiles[kind]; // Undefined for numbered tiles
+    const level = tileLevel || 0; // Walls and wildcards have no level, they show no number
+    const color = (special ? special["background"] : this.getTileColor(level));
+    const text = (kind == TileKind.Wall ? "" : (kind == TileKind.Wildcard ? "?" : this.getTileText(level)));
+    const textColor = (special ? special["text"] : this.getTileTextColor(level));
     const x = this.margin + col * (this.tileSize + this.margin) + this.tileSize / 2;
     const y = this.margin + row * (this.tileSize + this.margin) + this.tileSize / 2;
     const size = this.tileSize * scale;
@@ -631,7 +742,7 @@ class GameGraphicsController {
         const movementProgress = 3 * Math.pow(phaseProgress, 2) - 2 * Math.pow(phaseProgress, 3); // Smoothstep
         const tileRow = prevRow + (row - prevRow) * movementProgress;
         const tileCol = prevCol + (col - prevCol) * movementProgress;
-        this.drawTile(tileRow, tileCol, tile.prevLevel[id]);
+        this.drawTile(tileRow, tileCol, tile.prevLevel[id], 1, tile.prevKind[id]);
       }
     }
     const appearingPhaseStart = movingPhaseEnd;
@@ -639,12 +750,16 @@ class GameGraphicsController {
       const phaseProgress = (animationProgress - appearingPhaseStart) / (1 - appearingPhaseStart);
       if (tile.status == TileStatus.Spawned) {
         const scale = phaseProgress;
-        this.drawTile(row, col, tile.level, scale);
+        this.drawTile(row, col, tile.level, scale, tile.kind);
       }
       if (tile.status == TileStatus.Merged) {
         const scale = -Math.pow(phaseProgress, 2) + phaseProgress + 1;
         this.drawTile(row, col, tile.level, scale);
       }
+      if (tile.status == TileStatus.Decayed) {
+        const scale = Math.pow(phaseProgress, 2) - phaseProgress + 1;
+        this.drawTile(row, col, tile.level, scale);
+      }
     }
   }
 
@@ -665,6 +780,48 @@ class GameGraphicsController {
     }
   }
 
+  /**
+   * Draws an arrow pointing to a hinted direction over the board
+   * @method
+   * @param {Direction} direction - Hinted direction
+   */
+  drawHint(direction) {
+    let angle = {};
+    angle[Direction.Right] = 0;
+    angle[Direction.Down] = Math.PI / 2;
+    angle[Direction.Left] = Math.PI;
+    angle[Direction.Up] = -Math.PI / 2;
+    const size = Math.min(this.dimensions.x, this.dimensions.y) / 3;
+    this.context.save();
+    this.context.translate(this.dimensions.x / 2, this.dimensions.y / 2);
+    this.context.rotate(angle[direction]);
+    this.context.fillStyle = Color.fromHex(this.theme.overlay["hint"]["color"], this.theme.overlay["hint"]["opacity"]).toStyleString();
+    this.context.beginPath();
+    this.context.moveTo(-size / 2, -size / 8);
+    this.context.lineTo(0, -size / 8);
+    this.context.lineTo(0, -size / 3);
+    this.context.lineTo(size / 2, 0);
+    this.context.lineTo(0, size / 3);
+    this.context.lineTo(0, size / 8);
+    this.context.lineTo(-size / 2, size / 8);
+    this.context.fill();
+    this.context.restore();
+  }
+
+  /**
+   * Draws challenge countdown in a label at the top of the board
+   * @method
+   * @param {string} text - Countdown text, e.g. "2:59" or "120 moves left"
+   */
+  drawCountdown(text) {
+    const height = this.tileSize / 4;
+    const width = Math.min(this.dimensions.x - 2 * this.margin, height * text.length * 0.6 + 2 * height);
+    const x = (this.dimensions.x - width) / 2;
+    const y = this.margin / 2;
+    this.drawRoundRectangle(x, y, width, height, this.theme.page["button"], height / 4);
+    this.drawText(x, y, width, height, this.theme.page["buttonText"], text);
+  }
+
   /**
    * Draws game state
    * @method
@@ -672,6 +829,8 @@ class GameGraphicsController {
    * @param {number} animationProgress 
    */
   draw(state, animationProgress = 1) {
+    this.rules = state.rules;
+    this.invalidated = false;
     this.drawBackground();
     this.drawTiles(state, animationProgress);
   }
@@ -691,55 +850,68 @@ class GameAnimationController {
     this.graphics = graphics;
     this.animationProgress = 0;
     this.stateHistory = [];
-    this.prevTime = new Date();
+    this.animationDuration = 200; // Milliseconds per move, it is shortened while moves are queued
+    this.maxQueueLength = 4; // States queued beyond it are skipped without animation
+    this.invalidated = true; // Whether the shown state has changed without animation
   }
 
   /**
-   * Adds state to the drawing queue
+   * Adds state to the drawing queue, states in the middle of a long queue are dropped
    * @method
    * @param {GameState} state - State to add to queue
    */
   addState(state) {
     this.stateHistory.push(state.clone());
+    if (this.stateHistory.length > this.maxQueueLength) {
+      this.stateHistory.splice(1, this.stateHistory.length - this.maxQueueLength);
+    }
   }
 
   /**
-   * Returns animation step to get to the next frame
+   * Drops the drawing queue and shows a given state without animation
    * @method
-   * @returns {number}
+   * @param {GameState} state - State to show
    */
-  get animationStep() {
-    const baseAnimationDuration = 0.2;
-    const time = new Date();
-    const deltaSeconds = (time - this.prevTime) / 1000;
-    const deltaPhase = deltaSeconds / baseAnimationDuration;
-    return (this.stateHistory.length * deltaPhase);
+  reset(state) {
+    this.stateHistory = [state.clone()];
+    this.animationProgress = 1;
+    this.invalidated = true;
   }
 
   /**
-   * Advances to the next frame
+   * Checks if there is an animation to play
    * @method
+   * @returns {boolean}
+   */
+  get isAnimating() {
+    return (this.stateHistory.length > 1 || this.animationProgress < 1);
+  }
+
+  /**
+   * Advances animation by a given time
+   * @method
+   * @param {number} deltaTime - Milliseconds
    */
-  advance() {
-    if (this.stateHistory.length != 1 || this.animationProgress != 1) {
+  advance(deltaTime) {
+    if (this.isAnimating) {
       if (this.animationProgress == 1) {
         this.animationProgress = 0;
         this.stateHistory.shift();
       }
-      this.animationProgress += this.animationStep;
+      this.animationProgress += this.stateHistory.length * deltaTime / this.animationDuration;
       if (this.animationProgress > 1) {
         this.animationProgress = 1;
       }
+      this.invalidated = true; // Last frame of the animation must be drawn too
     }
-    this.prevTime = new Date();
   }
 
   /**
-   * Advances to the next frame and draws it
+   * Draws the current frame
    * @method
    */
   draw() {
-    this.advance();
+    this.invalidated = false;
     this.graphics.draw(this.stateHistory[0], this.animationProgress);
   }
 }
@@ -765,16 +937,46 @@ class Color {
   }
 
   /**
-   * Approaches to a given color using exponential moving average
+   * Returns color given by "#RRGGBB" string and alpha
+   * @method
+   * @param {string} hex - Color
+   * @param {number} a - Alpha
+   * @returns {Color}
+   */
+  static fromHex(hex, a) {
+    const rgb = Theme.parseHex(hex);
+    return new Color(rgb[0], rgb[1], rgb[2], a);
+  }
+
+  /**
+   * Approaches to a given color using exponential moving average, the same speed at any frame rate;
+   * The color is snapped to the target once they look the same
+   * @method
+   * @param {Color} color - Target color
+   * @param {number} deltaTime - Milliseconds since the previous step
+   */
+  approach(color, deltaTime) {
+    const keep = Math.pow(24 / 25, deltaTime / (1000 / 60)); // 1/25 of the distance per frame at 60 fps
+    this.r = color.r + (this.r - color.r) * keep;
+    this.g = color.g + (this.g - color.g) * keep;
+    this.b = color.b + (this.b - color.b) * keep;
+    this.a = color.a + (this.a - color.a) * keep;
+    if (this.equals(color)) {
+      this.r = color.r;
+      this.g = color.g;
+      this.b = color.b;
+      this.a = color.a;
+    }
+  }
+
+  /**
+   * Checks if color looks the same as another one
    * @method
-   * @param {Color} color 
+   * @param {Color} color - Color to compare with
+   * @returns {boolean}
    */
-  approach(color) {
-    const weight = 24;
-    this.r = (weight * this.r + color.r) / (weight + 1);
-    this.g = (weight * this.g + color.g) / (weight + 1);
-    this.b = (weight * this.b + color.b) / (weight + 1);
-    this.a = (weight * this.a + color.a) / (weight + 1);
+  equals(color) {
+    return (this.toStyleString() == color.toStyleString());
   }
 
   /**
@@ -798,6 +1000,18 @@ class Color {
   }
 }
 
+/**
+ * Text, colors and buttons the overlay shows for a game status
+ * @typedef {{
+ *   textHidden: boolean,
+ *   text: string,
+ *   textColor: string,
+ *   color: Color,
+ *   buttons: !Array<{text: string, command: Command}>,
+ * }}
+ */
+let OverlaySetting;
+
 /**
  * Represents game overlay
  * @class
@@ -807,46 +1021,103 @@ class GameOverlay {
    * @constructs GameOverlay
    * @method
    * @param {Element} canvas - Canvas to draw on
+   * @param {Theme} theme - Color theme
+   * @param {GameInputController} input - Input controller to push chosen commands to
    */
-  constructor(canvas) {
+  constructor(canvas, theme, input) {
     this.canvas = canvas;
     this.context = canvas.getContext("2d");
-    /**
-     * Enum for overlay settings
-     * @enum {{
-     *   textHidden: boolean,
-     *   text: ?string,
-     *   textColor: ?string,
-     *   color: Color,
-     * }}
-     */
+    this.input = input;
+    this.status = GameStatus.InProgress;
+    this.paused = false;
+    this.buttons = [];
+    this.buttonRects = [];
+    this.selectedButton = 0;
+    this.theme = theme;
+    /** @type {!Object<string, OverlaySetting>} */
+    this.settings = {}; // By game status
+    /** @type {?OverlaySetting} */
+    this.pauseSetting = null; // Shown instead of the status while the game is paused
+    /** @type {?OverlaySetting} */
+    this.setting = null;
+    this.invalidated = true; // Whether text or buttons have changed since the overlay was drawn
+    this.setTheme(theme);
+    this.color = this.setting.color.clone();
+    this.listeners = new ListenerGroup();
+    this.listeners.add(canvas, "click", (e) => { this.processClick(e); });
+    this.listeners.add(input.keyTarget, "keydown", (e) => { this.processKeyboard(e); });
+  }
+
+  /**
+   * Stops listening to input events
+   * @method
+   */
+  destroy() {
+    this.listeners.removeAll();
+  }
+
+  /**
+   * Sets color theme
+   * @method
+   * @param {Theme} theme - Color theme
+   */
+  setTheme(theme) {
+    this.theme = theme;
+    const won = theme.overlay["won"];
+    const lost = theme.overlay["lost"];
     this.settings = {};
     this.settings[GameStatus.InProgress] = {
       textHidden: true,
-      text: null,
-      textColor: null,
+      text: "",
+      textColor: "",
       color: new Color(255, 255, 255, 0),
+      buttons: [],
     };
     this.settings[GameStatus.Continued] = {
       textHidden: true,
-      text: null,
-      textColor: null,
+      text: "",
+      textColor: "",
       color: new Color(255, 255, 255, 0),
+      buttons: [],
     };
     this.settings[GameStatus.Won] = {
       textHidden: false,
-      text: "You win!",
-      textColor: "#F8F5F1",
-      color: new Color(237, 194, 46, 0.5),
+      text: StatusText[GameStatus.Won],
+      textColor: won["text"],
+      color: Color.fromHex(won["color"], won["opacity"]),
+      buttons: [
+        { text: "Keep going", command: Command.Continue },
+        { text: "New game", command: Command.Restart },
+      ],
     };
     this.settings[GameStatus.Lost] = {
       textHidden: false,
-      text: "Game over!",
-      textColor: "#776E65",
-      color: new Color(237, 227, 217, 0.5),
+      text: StatusText[GameStatus.Lost],
+      textColor: lost["text"],
+      color: Color.fromHex(lost["color"], lost["opacity"]),
+      buttons: [
+        { text: "Try again", command: Command.Restart },
+        { text: "Undo", command: Command.Undo },
+      ],
     };
-    this.setting = this.settings[GameStatus.InProgress];
-    this.color = this.setting.color.clone();
+    [GameStatus.TimeUp, GameStatus.OutOfMoves].forEach((status) => {
+      this.settings[status] = {
+        textHidden: false,
+        text: StatusText[status],
+        textColor: lost["text"],
+        color: Color.fromHex(lost["color"], lost["opacity"]),
+        buttons: [{ text: "Try again", command: Command.Restart }],
+      };
+    });
+    this.pauseSetting = {
+      textHidden: false,
+      text: "Paused",
+      textColor: lost["text"],
+      color: Color.fromHex(lost["color"], 1), // Board is hidden so that challenge clocks can not be cheated
+      buttons: [{ text: "Resume", command: Command.Resume }],
+    };
+    this.setting = (this.paused ? this.pauseSetting : this.settings[this.status]);
+    this.invalidated = true;
   }
 
   /**
@@ -863,189 +1134,2316 @@ class GameOverlay {
     this.context.textAlign = "center";
     this.context.textBaseline = "middle";
     this.context.fillStyle = color;
-    this.context.font = height + "px Arial";
+    this.context.font = height + "px " + this.theme.fonts["overlay"];
     this.context.fillText(text, x, y, width);
   }
 
   /**
    * Updates settings according to a game status
    * @param {GameStatus} status - Game Status
+   * @param {boolean} canUndo - Whether undo button is shown on lost game
+   * @param {boolean=} interactive - Whether buttons are shown, false while a replay is watched
+   * @param {boolean=} paused - Whether the game is paused, it is shown instead of the status
    */
-  update(status) {
-    this.setting = this.settings[status];
+  update(status, canUndo, interactive = true, paused = false) {
+    if (status != this.status || paused != this.paused) {
+      this.selectedButton = 0;
+    }
+    this.status = status;
+    this.paused = paused;
+    const setting = (paused ? this.pauseSetting : this.settings[status]);
+    const buttons = (interactive ? setting.buttons.filter((button) => (button.command != Command.Undo || canUndo)) : []);
+    if (setting != this.setting || buttons.length != this.buttons.length) {
+      this.invalidated = true;
+    }
+    this.setting = setting;
+    this.buttons = buttons;
+    if (this.selectedButton >= this.buttons.length) {
+      this.selectedButton = 0;
+    }
   }
 
   /**
-   * Draws overlay
+   * Fades overlay color towards the current setting
    * @method
+   * @param {number} deltaTime - Milliseconds
    */
-  draw() {
-    const width = this.canvas.scrollWidth;
-    const height = this.canvas.scrollHeight;
-    this.color.approach(this.setting.color);
-    this.context.fillStyle = this.color.toStyleString();
-    this.context.fillRect(0, 0, width, height);
-    if (!this.setting.textHidden) {
-      this.drawText(width / 2, height / 2, width * 7 / 8, height / 5, this.setting.textColor, this.setting.text);
+  advance(deltaTime) {
+    if (this.isAnimating) {
+      this.color.approach(this.setting.color, deltaTime);
+      this.invalidated = true; // Last step of the fade must be drawn too
     }
   }
-}
 
-/**
- * Represents game input controller
- * @class
- */
-class GameInputController {
   /**
-   * @constructs GameInputConstoller
+   * Checks if overlay color is still fading
    * @method
+   * @returns {boolean}
    */
-  constructor() {
-    this.moves = [];
-    window.addEventListener("keydown", (e) => { this.processKeyboard(e); });
-    this.blockedUntil = new Date();
+  get isAnimating() {
+    return !this.color.equals(this.setting.color);
   }
 
   /**
-   * Keyboard keydown event handler
+   * Returns button at given canvas coordinates in CSS pixels
    * @method
-   * @param {Object} event - Event
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {?{text: string, command: Command}}
    */
-  processKeyboard(event) {
-    const key = event.code;
-    if (new Date() >= this.blockedUntil) {
-      const mapping = {
-        "KeyW": Direction.Up,
-        "ArrowUp": Direction.Up,
-        "KeyA": Direction.Left,
-        "ArrowLeft": Direction.Left,
-        "KeyS": Direction.Down,
-        "ArrowDown": Direction.Down,
-        "KeyD": Direction.Right,
-        "ArrowRight": Direction.Right,
-      };
-      const direction = mapping[key];
-      if (direction !== undefined) {
-        this.moves.push(direction);
+  buttonAt(x, y) {
+    for (let id = 0; id < this.buttons.length && id < this.buttonRects.length; id++) {
+      const rect = this.buttonRects[id];
+      if (rect.x <= x && x <= rect.x + rect.width && rect.y <= y && y <= rect.y + rect.height) {
+        return this.buttons[id];
       }
     }
-    if (key == "ArrowUp" || key == "ArrowDown") {
-      event.preventDefault();
-    }
+    return null;
   }
 
   /**
-   * Clears keyboard presses queuq
+   * Canvas click event handler
    * @method
+   * @param {Object} event - Event
    */
-  reset() {
-    this.moves = [];
+  processClick(event) {
+    const button = this.buttonAt(event.offsetX, event.offsetY);
+    if (button) {
+      this.input.pushCommand(button.command);
+    }
   }
 
   /**
-   * Ignores keyboard presses for a given duration
+   * Keyboard keydown event handler, Left and Right select a button, Enter and Space press it
    * @method
-   * @param {number} duration - Duration in milliseconds 
+   * @param {Object} event - Event
    */
-  blockForMilliseconds(duration) {
-    this.reset();
-    this.blockedUntil = new Date((new Date()).valueOf() + duration);
+  processKeyboard(event) {
+    const tagName = event.target.tagName;
+    if (!this.buttons.length || tagName == "INPUT" || tagName == "SELECT" || tagName == "BUTTON" ||
+      tagName == "SUMMARY") {
+      return;
+    }
+    const count = this.buttons.length;
+    if (event.code == "ArrowLeft") {
+      this.selectedButton = (this.selectedButton + count - 1) % count;
+      this.invalidated = true;
+    } else if (event.code == "ArrowRight") {
+      this.selectedButton = (this.selectedButton + 1) % count;
+      this.invalidated = true;
+    } else if (event.code == "Enter" || event.code == "Space") {
+      this.input.pushCommand(this.buttons[this.selectedButton].command);
+      event.preventDefault();
+    }
   }
-}
 
-/**
- * Represents a game controller
- * @class
- */
-class GameController {
   /**
-   * @constructs GameController
+   * Draws buttons in a row and remembers their positions for hit-testing
    * @method
-   * @param {Element} canvas - Game canvas
-   * @param {number} rows - Number of rows
-   * @param {number} columns - Number of columns
-   * @param {number} targetTileLevel - Tile level to win the game
+   * @param {number} width - Width of the board
+   * @param {number} height - Height of the board
    */
-  constructor(canvas, rows, columns, targetTileLevel) {
-    this.rows = rows;
-    this.columns = columns;
-    this.targetTileLevel = targetTileLevel;
-    this.graphics = new GameGraphicsController(canvas, rows, columns);
+  drawButtons(width, height) {
+    const count = this.buttons.length;
+    const gap = width / 20;
+    const buttonWidth = Math.min(width * 0.35, (width * 0.9 - gap * (count - 1)) / count);
+    const buttonHeight = height / 9;
+    const left = (width - count * buttonWidth - (count - 1) * gap) / 2;
+    const top = height * 0.6;
+    this.buttonRects = [];
+    for (let id = 0; id < count; id++) {
+      const rect = { x: left + id * (buttonWidth + gap), y: top, width: buttonWidth, height: buttonHeight };
+      this.buttonRects.push(rect);
+      this.context.fillStyle = this.theme.page["button"];
+      this.context.fillRect(rect.x, rect.y, rect.width, rect.height);
+      if (id == this.selectedButton) {
+        this.context.strokeStyle = this.setting.textColor;
+        this.context.lineWidth = Math.max(2, buttonHeight / 15);
+        this.context.strokeRect(rect.x, rect.y, rect.width, rect.height);
+      }
+      this.drawText(rect.x + rect.width / 2, rect.y + rect.height / 2, rect.width * 7 / 8, rect.height / 2,
+        this.theme.page["buttonText"], this.buttons[id].text);
+    }
+  }
+
+  /**
+   * Draws overlay
+   * @method
+   * @param {{x: number, y: number}} dimensions - Board dimensions in CSS pixels
+   */
+  draw(dimensions) {
+    const width = dimensions.x;
+    const height = dimensions.y;
+    this.invalidated = false;
+    this.context.fillStyle = this.color.toStyleString();
+    this.context.fillRect(0, 0, width, height);
+    if (!this.setting.textHidden) {
+      const textY = (this.buttons.length ? height * 0.4 : height / 2);
+      this.drawText(width / 2, textY, width * 7 / 8, height / 5, this.setting.textColor, this.setting.text);
+    }
+    this.buttonRects = [];
+    if (this.buttons.length) {
+      this.drawButtons(width, height);
+    }
+  }
+}
+
+/**
+ * Represents off-screen copy of the board and announcements for screen readers
+ * @class
+ */
+class GameAccessibility {
+  /**
+   * @constructs GameAccessibility
+   * @method
+   * @param {Element} grid - Element to build ARIA grid in
+   * @param {Element} liveRegion - Live region for announcements
+   */
+  constructor(grid, liveRegion) {
+    this.grid = grid;
+    this.liveRegion = liveRegion;
+    this.cells = [];
+    this.shownState = null;
+    this.liveRegion.textContent = "";
+  }
+
+  /**
+   * Rebuilds grid cells for a board of a given size
+   * @method
+   * @param {number} rows - Number of rows
+   * @param {number} columns - Number of columns
+   */
+  build(rows, columns) {
+    this.grid.textContent = "";
+    this.grid.setAttribute("aria-label", "Game board, " + rows + " by " + columns);
+    this.cells = [];
+    for (let row = 0; row < rows; row++) {
+      let rowElement = document.createElement("div");
+      rowElement.setAttribute("role", "row");
+      for (let col = 0; col < columns; col++) {
+        let cell = document.createElement("div");
+        cell.setAttribute("role", "gridcell");
+        rowElement.appendChild(cell);
+        this.cells.push(cell);
+      }
+      this.grid.appendChild(rowElement);
+    }
+  }
+
+  /**
+   * Updates grid cells to show a given state, does nothing if it is already shown
+   * @method
+   * @param {GameState} state - Game state
+   */
+  show(state) {
+    if (this.shownState && this.shownState.equals(state)) {
+      return;
+    }
+    if (!this.shownState || this.shownState.rows != state.rows || this.shownState.columns != state.columns) {
+      this.build(state.rows, state.columns);
+    }
+    for (let index = 0; index < state.boardSize; index++) {
+      const tile = state.tiles[index];
+      this.cells[index].textContent = this.describeTile(state, tile);
+    }
+    this.shownState = state.clone();
+  }
+
+  /**
+   * Returns tile in words
+   * @method
+   * @param {GameState} state - Game state
+   * @param {Tile} tile - Tile
+   * @returns {string}
+   */
+  describeTile(state, tile) {
+    if (tile.isEmpty) {
+      return "Empty";
+    }
+    if (tile.kind == TileKind.Wall || tile.kind == TileKind.Wildcard) {
+      return (tile.kind == TileKind.Wall ? "Wall" : "Wildcard");
+    }
+    const value = String(state.rules.tileValue(tile.level || 0)); // Numbered tiles and bombs always have a level
+    return (tile.kind == TileKind.Bomb ? "Bomb " + value : value);
+  }
+
+  /**
+   * Returns position of a tile in words
+   * @method
+   * @param {GameState} state - Game state
+   * @param {number} index - Tile index
+   * @returns {string}
+   */
+  describePosition(state, index) {
+    return "row " + (Math.floor(index / state.columns) + 1) + ", column " + (index % state.columns + 1);
+  }
+
+  /**
+   * Announces result of a move: merges, spawned tile, score change and game status change
+   * @method
+   * @param {GameState} prevState - State before the move
+   * @param {GameState} state - State after the move
+   * @param {Direction} direction - Direction of the move
+   */
+  announceMove(prevState, state, direction) {
+    let merged = [];
+    let spawned = [];
+    let exploded = false;
+    for (let index = 0; index < state.boardSize; index++) {
+      const tile = state.tiles[index];
+      if (tile.status == TileStatus.Merged) {
+        merged.push(state.rules.tileValue(tile.level));
+        exploded = exploded || tile.prevKind.indexOf(TileKind.Bomb) != -1;
+      } else if (tile.status == TileStatus.Spawned) {
+        spawned.push("New " + this.describeTile(state, tile) + " at " + this.describePosition(state, index) + ".");
+      }
+    }
+    let parts = ["Moved " + direction + "."];
+    if (merged.length) {
+      parts.push("Merged into " + merged.join(", ") + ".");
+    }
+    if (exploded) {
+      parts.push("A bomb cleared its neighbours.");
+    }
+    parts = parts.concat(spawned);
+    if (state.score != prevState.score) {
+      parts.push("Score " + state.score + ", up " + (state.score - prevState.score) + ".");
+    }
+    if (state.status != prevState.status && StatusText[state.status]) {
+      parts.push(StatusText[state.status]);
+      parts.push(state.status == GameStatus.Won ? "Press Enter to keep going." : "Press Enter to try again.");
+    }
+    this.announce(parts.join(" "));
+  }
+
+  /**
+   * Announces a message
+   * @method
+   * @param {string} message - Message
+   */
+  announce(message) {
+    this.liveRegion.textContent = message;
+  }
+}
+
+/**
+ * Represents game input controller
+ * @class
+ */
+class GameInputController {
+  /**
+   * @constructs GameInputConstoller
+   * @method
+   * @param {Element} canvas - Game canvas to detect swipes on
+   * @param {EventTarget=} keyTarget - Target of keyboard events, e.g. an embedding element to react only while it has focus
+   * @param {!Object<string, Direction>=} keyMapping - Keys moving the board by their codes
+   */
+  constructor(canvas, keyTarget = window, keyMapping = KeyMappings["all"]) {
+    this.keyTarget = keyTarget;
+    this.keyMapping = keyMapping;
+    this.moves = [];
+    this.commands = [];
+    this.minSwipeDistance = 30; // CSS pixels
+    this.maxSwipeAngle = 30; // Degrees of deviation from horizontal or vertical axis
+    this.swipeStart = null;
+    this.gamepadDeadZone = 0.5;
+    this.gamepadRepeatDelay = 250; // Milliseconds between moves while direction is held
+    this.gamepadDirection = null;
+    this.gamepadRepeatAt = new Date();
+    this.gamepadRestartPressed = false;
+    this.listeners = new ListenerGroup();
+    this.listeners.add(keyTarget, "keydown", (e) => { this.processKeyboard(e); });
+    this.listeners.add(canvas, "pointerdown", (e) => { this.processPointerDown(e); });
+    this.listeners.add(canvas, "pointerup", (e) => { this.processPointerUp(e); });
+    this.listeners.add(canvas, "pointercancel", () => { this.swipeStart = null; });
+    this.listeners.add(canvas, "touchmove", (e) => { e.preventDefault(); }, { passive: false });
+  }
+
+  /**
+   * Stops listening to input events
+   * @method
+   */
+  destroy() {
+    this.listeners.removeAll();
+    this.reset();
+  }
+
+  /**
+   * Adds move to the queue
+   * @method
+   * @param {Direction} direction - Direction of move
+   */
+  pushMove(direction) {
+    this.moves.push(direction);
+  }
+
+  /**
+   * Adds command to the queue
+   * @method
+   * @param {Command} command - Command
+   */
+  pushCommand(command) {
+    this.commands.push(command);
+  }
+
+  /**
+   * Keyboard keydown event handler
+   * @method
+   * @param {Object} event - Event
+   */
+  processKeyboard(event) {
+    const key = event.code;
+    if (event.target.tagName == "INPUT") {
+      return;
+    }
+    if (event.ctrlKey || event.metaKey) {
+      if (key == "KeyZ" && !event.shiftKey) {
+        this.pushCommand(Command.Undo);
+        event.preventDefault();
+      } else if (key == "KeyY" || key == "KeyZ" && event.shiftKey) {
+        this.pushCommand(Command.Redo);
+        event.preventDefault();
+      }
+    } else {
+      const direction = (this.keyMapping.hasOwnProperty(key) ? this.keyMapping[key] : undefined);
+      if (direction !== undefined) {
+        this.pushMove(direction);
+      } else if (key == "KeyH") {
+        this.pushCommand(Command.Hint);
+      } else if (key == "KeyP") {
+        this.pushCommand(Command.Pause);
+      }
+    }
+    if (key == "ArrowUp" || key == "ArrowDown") {
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Pointer pointerdown event handler
+   * @method
+   * @param {Object} event - Event
+   */
+  processPointerDown(event) {
+    if (event.isPrimary) {
+      this.swipeStart = { x: event.clientX, y: event.clientY };
+      event.target.setPointerCapture(event.pointerId);
+      event.preventDefault();
+    }
+  }
+
+  /**
+   * Pointer pointerup event handler
+   * @method
+   * @param {Object} event - Event
+   */
+  processPointerUp(event) {
+    if (event.isPrimary && this.swipeStart) {
+      const direction = this.getSwipeDirection(event.clientX - this.swipeStart.x, event.clientY - this.swipeStart.y);
+      this.swipeStart = null;
+      if (direction !== null) {
+        this.pushMove(direction);
+      }
+    }
+  }
+
+  /**
+   * Returns direction of a swipe or null if it is too short or too diagonal
+   * @method
+   * @param {number} dx - Horizontal swipe distance
+   * @param {number} dy - Vertical swipe distance, positive downwards
+   * @returns {?Direction}
+   */
+  getSwipeDirection(dx, dy) {
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const angle = Math.atan2(Math.min(Math.abs(dx), Math.abs(dy)), Math.max(Math.abs(dx), Math.abs(dy)));
+    if (distance < this.minSwipeDistance || angle > this.maxSwipeAngle * Math.PI / 180) {
+      return null;
+    } else if (Math.abs(dx) > Math.abs(dy)) {
+      return (dx > 0 ? Direction.Right : Direction.Left);
+    } else {
+      return (dy > 0 ? Direction.Down : Direction.Up);
+    }
+  }
+
+  /**
+   * Polls connected gamepads for D-pad, left stick and Start button presses
+   * @method
+   */
+  pollGamepads() {
+    const gamepads = (navigator.getGamepads ? navigator.getGamepads() : []);
+    let direction = null;
+    let restartPressed = false;
+    for (let id = 0; id < gamepads.length; id++) {
+      const gamepad = gamepads[id];
+      if (gamepad && gamepad.connected) {
+        direction = direction || this.getGamepadDirection(gamepad);
+        restartPressed = restartPressed || (gamepad.buttons.length > 9 && gamepad.buttons[9].pressed);
+      }
+    }
+
+    const now = new Date();
+    if (direction !== this.gamepadDirection || direction !== null && now >= this.gamepadRepeatAt) {
+      if (direction !== null) {
+        this.pushMove(direction);
+      }
+      this.gamepadDirection = direction;
+      this.gamepadRepeatAt = new Date(now.valueOf() + this.gamepadRepeatDelay);
+    }
+    if (restartPressed && !this.gamepadRestartPressed) {
+      this.pushCommand(Command.Restart);
+    }
+    this.gamepadRestartPressed = restartPressed;
+  }
+
+  /**
+   * Returns direction held on a gamepad in standard mapping or null
+   * @method
+   * @param {Object} gamepad - Gamepad
+   * @returns {?Direction}
+   */
+  getGamepadDirection(gamepad) {
+    const isPressed = (button) => (gamepad.buttons.length > button && gamepad.buttons[button].pressed);
+    if (isPressed(12)) {
+      return Direction.Up;
+    } else if (isPressed(13)) {
+      return Direction.Down;
+    } else if (isPressed(14)) {
+      return Direction.Left;
+    } else if (isPressed(15)) {
+      return Direction.Right;
+    }
+    if (gamepad.axes.length >= 2) {
+      const x = gamepad.axes[0];
+      const y = gamepad.axes[1];
+      if (Math.max(Math.abs(x), Math.abs(y)) >= this.gamepadDeadZone) {
+        if (Math.abs(x) > Math.abs(y)) {
+          return (x > 0 ? Direction.Right : Direction.Left);
+        } else {
+          return (y > 0 ? Direction.Down : Direction.Up);
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Clears keyboard presses queuq
+   * @method
+   */
+  reset() {
+    this.moves = [];
+    this.commands = [];
+  }
+}
+
+/**
+ * Represents game assistant giving hints and playing automatically using solver in a worker
+ * @class
+ */
+class GameAssistant {
+  /**
+   * @constructs GameAssistant
+   * @method
+   * @param {GameInputController} input - Input controller to feed autoplay moves into
+   */
+  constructor(input) {
+    this.input = input;
+    this.depth = 2;
+    this.speed = 4; // Moves per second
+    this.autoplay = false;
+    this.hint = null;
+    this.hintRevision = -1;
+    this.hintRequested = false;
+    this.watchedState = null;
+    this.revision = 0; // Solutions found for older revisions are stale
+    this.stateChanged = () => { this.revision++; };
+    /** @type {?{id: number, revision: number}} */
+    this.pendingRequest = null;
+    this.requestCount = 0;
+    this.nextAutoplayMove = new Date();
+    this.worker = null; // Started on the first request, games never asking for hints run no worker
+    this.workerAvailable = true; // Until the worker fails to start or run
+  }
+
+  /**
+   * Starts the worker unless it is running or unavailable, the engine must have been loaded by a script element
+   * @method
+   */
+  startWorker() {
+    if (this.worker || !this.workerAvailable || engineScriptUrl === null) {
+      return;
+    }
+    try {
+      this.worker = new Worker(engineScriptUrl);
+      this.worker.addEventListener("message", (e) => { this.processResult(e.data["id"], e.data["direction"]); });
+      this.worker.addEventListener("error", () => { this.stopWorker(); });
+    } catch (e) {
+      this.stopWorker(); // Workers are not available, e.g. on file:// pages
+    }
+  }
+
+  /**
+   * Stops the worker, solver runs on the main thread afterwards
+   * @method
+   */
+  stopWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.workerAvailable = false;
+    this.pendingRequest = null;
+  }
+
+  /**
+   * Asks solver for the best move in a given state
+   * @method
+   * @param {GameState} state - State
+   */
+  requestMove(state) {
+    const id = ++this.requestCount;
+    this.pendingRequest = { id: id, revision: this.revision };
+    this.startWorker();
+    if (this.worker) {
+      this.worker.postMessage({ "id": id, "state": state.serialize(), "depth": this.depth });
+    } else {
+      const clonedState = state.clone();
+      window.setTimeout(() => { this.processResult(id, new Solver(this.depth).bestMove(clonedState)); }, 0);
+    }
+  }
+
+  /**
+   * Handles move found by solver
+   * @method
+   * @param {number} id - Request id
+   * @param {?Direction} direction - Best move
+   */
+  processResult(id, direction) {
+    const request = this.pendingRequest;
+    if (!request || request.id != id) {
+      return;
+    }
+    this.pendingRequest = null;
+    if (request.revision != this.revision || direction === null) {
+      return; // Board has changed while solver was thinking
+    }
+    if (this.autoplay) {
+      if (this.input.moves.length == 0) {
+        this.input.pushMove(direction);
+      }
+    } else {
+      this.hint = direction;
+      this.hintRevision = request.revision;
+    }
+  }
+
+  /**
+   * Asks for a hint for the current state
+   * @method
+   */
+  requestHint() {
+    this.hintRequested = true;
+  }
+
+  /**
+   * Turns autoplay on or off
+   * @method
+   * @param {boolean} autoplay - Whether to play automatically
+   */
+  setAutoplay(autoplay) {
+    this.autoplay = autoplay;
+    this.hint = null;
+    this.hintRequested = false;
+  }
+
+  /**
+   * Counts changes of a given state by its events, replacing the state e.g. by undo counts as a change
+   * @method
+   * @param {?GameState} state - Current state, null to stop watching
+   */
+  watchState(state) {
+    if (state === this.watchedState) {
+      return;
+    }
+    [GameEvent.Move, GameEvent.Spawn, GameEvent.StatusChange].forEach((type) => {
+      if (this.watchedState) {
+        this.watchedState.events.off(type, this.stateChanged);
+      }
+      if (state) {
+        state.events.on(type, this.stateChanged);
+      }
+    });
+    this.watchedState = state;
+    this.revision++;
+  }
+
+  /**
+   * Sends requests to solver as needed for a given state
+   * @method
+   * @param {GameState} state - Current state
+   */
+  update(state) {
+    this.watchState(state);
+    if (this.hintRevision != this.revision) {
+      this.hint = null;
+    }
+    if (this.autoplay && state.isFinished) {
+      this.setAutoplay(false);
+    }
+    if (this.pendingRequest) {
+      return;
+    }
+    const now = new Date();
+    if (this.autoplay) {
+      if (now >= this.nextAutoplayMove && this.input.moves.length == 0) {
+        this.nextAutoplayMove = new Date(now.valueOf() + 1000 / this.speed);
+        this.requestMove(state);
+      }
+    } else if (this.hintRequested) {
+      this.hintRequested = false;
+      if (this.hint === null && !state.isFinished) {
+        this.requestMove(state);
+      }
+    }
+  }
+
+  /**
+   * Stops solving
+   * @method
+   */
+  destroy() {
+    this.watchState(null);
+    this.stopWorker();
+  }
+}
+
+/**
+ * Represents statistics view on page with export of game records
+ * @class
+ */
+class StatsView {
+  /**
+   * @constructs StatsView
+   * @method
+   * @param {GameStats} stats - Statistics to show
+   * @param {(Document|ShadowRoot)=} root - Root containing the statistics elements
+   */
+  constructor(stats, root = document) {
+    this.stats = stats;
+    this.totals = root.getElementById("statsTotals");
+    this.histogram = root.getElementById("statsHistogram");
+    this.chart = root.getElementById("statsChart");
+    this.listeners = new ListenerGroup();
+    this.listeners.add(root.getElementById("exportStatsCsvButton"), "click", () => {
+      this.download("2048-stats.csv", "text/csv", this.stats.toCSV());
+    });
+    this.listeners.add(root.getElementById("exportStatsJsonButton"), "click", () => {
+      this.download("2048-stats.json", "application/json", JSON.stringify(this.stats.serialize(), null, 2));
+    });
+    this.show(stats);
+  }
+
+  /**
+   * Stops listening to export buttons
+   * @method
+   */
+  destroy() {
+    this.listeners.removeAll();
+  }
+
+  /**
+   * Shows given statistics
+   * @method
+   * @param {GameStats} stats - Statistics
+   */
+  show(stats) {
+    this.stats = stats;
+    this.showTotals();
+    this.showHistogram();
+    this.drawChart();
+  }
+
+  /**
+   * Fills list of totals, win rate and streaks
+   * @method
+   */
+  showTotals() {
+    const totals = this.stats.totals;
+    const streaks = this.stats.streaks;
+    const minutes = Math.round(totals.duration / 60000);
+    const items = [
+      ["Games", totals.games],
+      ["Won", totals.won],
+      ["Win rate", Math.round(this.stats.winRate * 100) + "%"],
+      ["Best score", totals.bestScore],
+      ["Moves", totals.moves],
+      ["Merges", totals.merges],
+      ["Time played", Math.floor(minutes / 60) + " h " + (minutes % 60) + " min"],
+      ["Current streak", streaks.current],
+      ["Best streak", streaks.best],
+    ];
+    this.totals.textContent = "";
+    for (let id = 0; id < items.length; id++) {
+      let term = document.createElement("dt");
+      term.textContent = items[id][0];
+      let value = document.createElement("dd");
+      value.textContent = items[id][1];
+      this.totals.appendChild(term);
+      this.totals.appendChild(value);
+    }
+  }
+
+  /**
+   * Fills histogram of the largest tiles reached with bars
+   * @method
+   */
+  showHistogram() {
+    const histogram = this.stats.maxTileHistogram;
+    const values = Object.keys(histogram).map((value) => parseInt(value, 10)).sort((a, b) => b - a);
+    const maxCount = Math.max.apply(null, [1].concat(values.map((value) => histogram[value])));
+    this.histogram.textContent = "";
+    for (let id = 0; id < values.length; id++) {
+      const count = histogram[values[id]];
+      let row = document.createElement("div");
+      row.className = "stats_histogram_row";
+      let label = document.createElement("span");
+      label.className = "stats_histogram_label";
+      label.textContent = values[id];
+      let bar = document.createElement("span");
+      bar.className = "stats_histogram_bar";
+      bar.style.width = (count / maxCount * 70) + "%";
+      let value = document.createElement("span");
+      value.textContent = count;
+      row.appendChild(label);
+      row.appendChild(bar);
+      row.appendChild(value);
+      this.histogram.appendChild(row);
+    }
+  }
+
+  /**
+   * Draws average score over games as a line
+   * @method
+   */
+  drawChart() {
+    const context = this.chart.getContext("2d");
+    const width = this.chart.width;
+    const height = this.chart.height;
+    const averages = this.stats.averageScores;
+    const maxAverage = Math.max.apply(null, [1].concat(averages));
+    context.clearRect(0, 0, width, height);
+    context.strokeStyle = window.getComputedStyle(this.chart).color;
+    context.fillStyle = context.strokeStyle;
+    context.lineWidth = 2;
+    context.font = "12px Arial";
+    context.textBaseline = "top";
+    context.fillText("Average score: " + Math.round(averages.length ? averages[averages.length - 1] : 0), 4, 4);
+    if (averages.length < 2) {
+      return;
+    }
+    context.beginPath();
+    for (let id = 0; id < averages.length; id++) {
+      const x = id / (averages.length - 1) * (width - 8) + 4;
+      const y = height - 4 - averages[id] / maxAverage * (height - 28);
+      if (id == 0) {
+        context.moveTo(x, y);
+      } else {
+        context.lineTo(x, y);
+      }
+    }
+    context.stroke();
+  }
+
+  /**
+   * Saves text as a file
+   * @method
+   * @param {string} fileName - File name
+   * @param {string} type - MIME type
+   * @param {string} text - File contents
+   */
+  download(fileName, type, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: type }));
+    let link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Represents leaderboard of a board configuration and challenge shown on page
+ * @class
+ */
+class LeaderboardView {
+  /**
+   * @constructs LeaderboardView
+   * @method
+   * @param {Rules} rules - Rules of the game variant, used to show tile values
+   * @param {GameStorage} storage - Storage keeping player name
+   * @param {(Document|ShadowRoot)=} root - Root containing the leaderboard elements
+   */
+  constructor(rules, storage, root = document) {
+    this.list = root.getElementById("leaderboardList");
+    this.status = root.getElementById("leaderboardStatus");
+    this.nameInput = root.getElementById("playerName");
+    this.rules = rules;
+    this.nameInput.value = storage.loadPlayerName();
+    this.listeners = new ListenerGroup();
+    this.listeners.add(this.nameInput, "change", () => { storage.savePlayerName(this.playerName); });
+    this.showMessage("Loading...");
+  }
+
+  /**
+   * Stops listening to name changes
+   * @method
+   */
+  destroy() {
+    this.listeners.removeAll();
+  }
+
+  /**
+   * Returns name entered by player
+   * @method
+   * @returns {string}
+   */
+  get playerName() {
+    return this.nameInput.value.trim().slice(0, 20);
+  }
+
+  /**
+   * Shows a message above the list, e.g. an error, or hides it if the message is null
+   * @method
+   * @param {?string} message - Message
+   */
+  showMessage(message) {
+    this.status.hidden = (message === null);
+    this.status.textContent = message || "";
+  }
+
+  /**
+   * Shows a given leaderboard
+   * @method
+   * @param {Leaderboard} leaderboard - Leaderboard
+   * @param {number=} highlightedRank - Zero-based rank of the entry to highlight, -1 for none
+   */
+  show(leaderboard, highlightedRank = -1) {
+    this.showMessage(null);
+    this.list.textContent = "";
+    for (let id = 0; id < leaderboard.entries.length; id++) {
+      const entry = leaderboard.entries[id];
+      const seconds = Math.round(entry["duration"] / 1000);
+      let item = document.createElement("li");
+      item.textContent = (entry["name"] || "Anonymous") + ": " + entry["score"] + " points, " +
+        this.rules.tileValue(entry["maxTileLevel"]) + " tile, " + entry["moves"] + " moves, " +
+        Math.floor(seconds / 60) + ":" + ("0" + seconds % 60).slice(-2) + " (" + new Date(entry["date"]).toLocaleDateString() + ")";
+      item.classList.toggle("highlighted", id == highlightedRank);
+      this.list.appendChild(item);
+    }
+    if (!leaderboard.entries.length) {
+      let item = document.createElement("li");
+      item.textContent = "No results yet";
+      this.list.appendChild(item);
+    }
+  }
+}
+
+/**
+ * Represents game loop which updates the game in fixed time steps and draws it on animation frames
+ * @class
+ */
+class GameLoop {
+  /**
+   * @constructs GameLoop
+   * @method
+   * @param {function()} poll - Called every frame to handle input, also while paused
+   * @param {function(number)} update - Called with step duration in milliseconds for every step of elapsed time,
+   *   not called while paused
+   * @param {function()} render - Called every frame after updates
+   * @param {number=} step - Step duration in milliseconds
+   */
+  constructor(poll, update, render, step = 1000 / 60) {
+    this.poll = poll;
+    this.update = update;
+    this.render = render;
+    this.step = step;
+    this.maxFrameTime = 250; // Longer frames, e.g. when a background tab becomes visible, are shortened to it
+    this.accumulator = 0; // Elapsed milliseconds not yet covered by steps
+    this.lastTime = null;
+    this.frameRequest = null;
+    this.paused = false;
+  }
+
+  /**
+   * Starts requesting animation frames
+   * @method
+   */
+  start() {
+    if (this.frameRequest === null) {
+      this.lastTime = performance.now();
+      this.frameRequest = window.requestAnimationFrame((time) => { this.frame(time); });
+    }
+  }
+
+  /**
+   * Stops requesting animation frames
+   * @method
+   */
+  stop() {
+    if (this.frameRequest !== null) {
+      window.cancelAnimationFrame(this.frameRequest);
+      this.frameRequest = null;
+    }
+  }
+
+  /**
+   * Pauses updates, frames are still polled and rendered
+   * @method
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Resumes updates without catching up on the time spent paused
+   * @method
+   */
+  resume() {
+    this.paused = false;
+    this.accumulator = 0;
+    this.lastTime = performance.now();
+  }
+
+  /**
+   * Animation frame callback
+   * @method
+   * @param {number} time - Frame time in milliseconds, same clock as performance.now()
+   */
+  frame(time) {
+    const frameTime = Math.max(0, Math.min(time - this.lastTime, this.maxFrameTime));
+    this.lastTime = time;
+    this.poll();
+    if (!this.paused) {
+      this.accumulator += frameTime;
+      while (this.accumulator >= this.step) {
+        this.update(this.step);
+        this.accumulator -= this.step;
+      }
+    }
+    this.render();
+    this.frameRequest = window.requestAnimationFrame((nextTime) => { this.frame(nextTime); });
+  }
+}
+
+/**
+ * Represents a game controller
+ * @class
+ */
+class GameController {
+  /**
+   * @constructs GameController
+   * @method
+   * @param {Element} canvas - Game canvas
+   * @param {GameSettings} settings - Board configuration
+   * @param {Theme} theme - Color theme
+   * @param {number=} undoLimit - Maximum number of moves that can be undone, 0 disables undo
+   * @param {LeaderboardStore=} leaderboardStore - Storage backend of leaderboards, local storage if omitted
+   * @param {string=} storageNamespace - Namespace of saved data, used by embedded games
+   */
+  constructor(canvas, settings, theme, undoLimit = Infinity, leaderboardStore = null, storageNamespace = "") {
+    this.canvas = canvas;
+    const rootNode = canvas.getRootNode();
+    const shadowRoot = (typeof ShadowRoot !== "undefined" && rootNode instanceof ShadowRoot ? rootNode : null);
+    this.root = shadowRoot || document; // Page or shadow root of an embedding element, controls are looked up in it
+    this.rows = settings.rows;
+    this.columns = settings.columns;
+    this.targetTileLevel = settings.targetTileLevel;
+    this.rules = settings.rules;
+    this.challenge = settings.challengeRules;
+    this.theme = theme;
+    this.graphics = new GameGraphicsController(canvas, this.rows, this.columns, theme);
     this.animation = new GameAnimationController(this.graphics);
-    this.overlay = new GameOverlay(canvas);
-    this.input = new GameInputController();
-    this.score = 0;
-    this.bestScore = 0;
-    this.state = new GameState(this.rows, this.columns, this.targetTileLevel);
+    // Embedded games get keys only while focused
+    this.input = new GameInputController(canvas, (shadowRoot ? shadowRoot.host : window));
+    this.overlay = new GameOverlay(canvas, theme, this.input);
+    this.history = new GameHistory(this.challenge.isRanked ? 0 : undoLimit); // Ranked runs can not be undone
+    this.storage = new GameStorage(settings.key, storageNamespace);
+    this.assistant = new GameAssistant(this.input);
+    this.accessibility = new GameAccessibility(this.element("boardGrid"), this.element("announcer"));
+    this.player = null;
+    this.ownState = null; // Player's game while a replay is watched
+    this.loop = new GameLoop(() => { this.poll(); }, (deltaTime) => { this.update(deltaTime); }, () => { this.render(); });
+    this.frameKey = null; // Hint and countdown drawn on the last rendered frame
+    this.events = new EventEmitter(Object.keys(GameEvent).map((key) => GameEvent[key]));
+    this.watchedState = null; // State whose events are forwarded to listeners of the controller
+    this.forwarders = {};
+    GameState.eventTypes.forEach((type) => {
+      this.forwarders[type] = (payload) => { this.events.emit(type, payload); };
+    });
+    this.uninstallers = []; // Functions returned by plugins to remove them
+    this.state = this.storage.loadGame();
+    const fixedSeed = this.challenge.fixedSeed();
+    if (!this.state || this.state.rows != this.rows || this.state.columns != this.columns ||
+      this.state.targetTileLevel != this.targetTileLevel || !this.state.rules.equals(this.rules) ||
+      fixedSeed !== null && this.state.seed != fixedSeed) {
+      const random = (fixedSeed !== null ? new Random(fixedSeed) : new Random());
+      this.state = new GameState(this.rows, this.columns, this.targetTileLevel, random, this.rules);
+    }
+    this.score = this.state.score;
+    this.bestScore = this.storage.loadBestScore();
+    this.stats = this.storage.loadStats();
+    this.statsCollector = this.storage.loadStatsCollector(this.state) || new GameStatsCollector(this.state);
+    this.statsView = (this.element("statsTotals") ? new StatsView(this.stats, this.root) : null);
+    this.challengeRun = this.storage.loadChallengeRun(this.challenge, this.state) || new ChallengeRun(this.challenge, this.state);
+    this.leaderboardStore = leaderboardStore || new LocalLeaderboardStore(this.storage.storage);
+    this.leaderboardView = (this.element("leaderboardList") ? new LeaderboardView(this.rules, this.storage, this.root) : null);
+    this.loadLeaderboard();
+    this.destroyed = false; // Pending leaderboard requests must not update page once another game takes it
+    this.element("gameScore").innerHTML = this.score;
+    this.element("bestScore").innerHTML = this.bestScore;
+    this.animation.addState(this.state);
+    this.watchState();
+    this.updateGameNumber();
+    this.listeners = new ListenerGroup();
+    let restartButton = this.element("restartButton");
+    this.listeners.add(restartButton, "click", () => { this.restart(); });
+    let undoButton = this.element("undoButton");
+    this.listeners.add(undoButton, "click", () => { this.input.commands.push(Command.Undo); });
+    let redoButton = this.element("redoButton");
+    this.listeners.add(redoButton, "click", () => { this.input.commands.push(Command.Redo); });
+    this.updateHistoryButtons();
+    let gameNumberForm = this.element("gameNumberForm");
+    if (gameNumberForm) {
+      this.listeners.add(gameNumberForm, "submit", (e) => { this.processGameNumber(e); });
+    }
+    this.listeners.add(window, "pagehide", () => { this.storage.saveChallengeRun(this.challengeRun); });
+    this.listeners.add(document, "visibilitychange", () => {
+      if (document.hidden) {
+        this.pause();
+      }
+    });
+    this.listeners.add(window, "blur", () => { this.pause(); });
+    this.initAssistantControls();
+    this.initReplayControls();
+  }
+
+  /**
+   * Returns element of the page or of the embedding element's shadow root
+   * @method
+   * @param {string} id - Element id
+   * @returns {?Element} Element, null if the game is embedded without it
+   */
+  element(id) {
+    return this.root.getElementById(id);
+  }
+
+  /**
+   * Connects hint and autoplay controls on page to the assistant
+   * @method
+   */
+  initAssistantControls() {
+    let hintButton = this.element("hintButton");
+    if (!hintButton) {
+      return; // Embedded games have no assistant controls, hints are still shown on H
+    }
+    let autoplayButton = this.element("autoplayButton");
+    let speedInput = this.element("autoplaySpeed");
+    let depthSelect = this.element("solverDepth");
+    this.assistant.speed = parseInt(speedInput.value, 10);
+    this.assistant.depth = parseInt(depthSelect.value, 10);
+    autoplayButton.classList.remove("active");
+    this.listeners.add(hintButton, "click", () => { this.input.commands.push(Command.Hint); });
+    this.listeners.add(autoplayButton, "click", () => {
+      this.assistant.setAutoplay(!this.assistant.autoplay);
+      autoplayButton.classList.toggle("active", this.assistant.autoplay);
+    });
+    this.listeners.add(speedInput, "input", () => { this.assistant.speed = parseInt(speedInput.value, 10); });
+    this.listeners.add(depthSelect, "change", () => { this.assistant.depth = parseInt(depthSelect.value, 10); });
+  }
+
+  /**
+   * Updates autoplay button on page
+   * @method
+   */
+  updateAssistantControls() {
+    let autoplayButton = this.element("autoplayButton");
+    if (autoplayButton) {
+      autoplayButton.classList.toggle("active", this.assistant.autoplay);
+    }
+  }
+
+  /**
+   * Returns seed of the current game, shown to players as a game number
+   * @method
+   * @returns {number}
+   */
+  get seed() {
+    return this.state.seed;
+  }
+
+  /**
+   * Restarts the game
+   * @method
+   * @param {number=} seed - Seed of the new game, a random one is used if omitted; Ignored by daily challenge
+   */
+  restart(seed = Random.generateSeed()) {
+    if (this.player) {
+      this.exitReplay();
+    }
+    this.finishStats();
+    this.finishChallenge(true);
+    const fixedSeed = this.challenge.fixedSeed();
+    if (fixedSeed !== null) {
+      seed = fixedSeed;
+    }
+    this.state = new GameState(this.rows, this.columns, this.targetTileLevel, new Random(seed), this.rules);
+    this.statsCollector = new GameStatsCollector(this.state);
+    this.storage.saveStatsCollector(this.statsCollector);
+    this.challengeRun = new ChallengeRun(this.challenge, this.state);
+    this.storage.saveChallengeRun(this.challengeRun);
+    this.input.reset();
+    this.history.clear();
     this.animation.addState(this.state);
-    let restartButton = document.getElementById("restartButton");
-    restartButton.addEventListener("mousedown", () => { this.restart(); });
+    this.storage.saveGame(this.state);
+    this.updateScore();
+    this.updateGameNumber();
+    this.updateHistoryButtons();
+    this.accessibility.announce("New game #" + seed + ".");
+    this.events.emit(GameEvent.Restart, { "seed": seed });
+  }
+
+  /**
+   * Forwards events of the current state to listeners of the controller;
+   * States of watched replays and of destroyed games are not forwarded
+   * @method
+   */
+  watchState() {
+    const state = (this.player || this.destroyed ? null : this.state);
+    if (state !== this.watchedState) {
+      for (let type in this.forwarders) {
+        if (this.watchedState) {
+          this.watchedState.events.off(type, this.forwarders[type]);
+        }
+        if (state) {
+          state.events.on(type, this.forwarders[type]);
+        }
+      }
+      this.watchedState = state;
+    }
+  }
+
+  /**
+   * Installs a plugin, e.g. analytics or sounds, that listens to game events;
+   * The plugin is called with an API object and may return a function uninstalling it
+   * @method
+   * @param {function(!Object): (function()|undefined)} plugin - Plugin
+   */
+  use(plugin) {
+    const uninstall = plugin({
+      "on": (type, listener) => { this.events.on(type, listener); },
+      "off": (type, listener) => { this.events.off(type, listener); },
+      "getState": () => this.state,
+    });
+    if (typeof uninstall == "function") {
+      this.uninstallers.push(uninstall);
+    }
+  }
+
+  /**
+   * Records the current game in statistics unless it is already recorded or no moves have been made
+   * @method
+   */
+  finishStats() {
+    if (this.statsCollector.moves > 0 && !this.statsCollector.finished) {
+      this.stats.add(this.statsCollector.finish(this.state));
+      this.storage.saveStats(this.stats);
+      this.storage.saveStatsCollector(this.statsCollector);
+      if (this.statsView) {
+        this.statsView.show(this.stats);
+      }
+    }
+  }
+
+  /**
+   * Submits the current game to the leaderboard once it is over; Free play games are also submitted when abandoned;
+   * Games embedded without a leaderboard are not submitted
+   * @method
+   * @param {boolean=} abandoned - Whether the game is abandoned for a new one
+   */
+  finishChallenge(abandoned = false) {
+    if (!this.leaderboardView) {
+      return;
+    }
+    const over = (this.challengeRun.isOver(this.state) || abandoned && !this.challenge.isRanked);
+    if (over && !this.challengeRun.recorded && this.challengeRun.moves > 0) {
+      const entry = this.challengeRun.finish(this.state, this.leaderboardView.playerName);
+      this.storage.saveChallengeRun(this.challengeRun);
+      this.leaderboardStore.submit(this.storage.configKey, this.challenge, entry).then((rank) => {
+        this.loadLeaderboard(rank);
+      }).catch(() => {
+        if (!this.destroyed) {
+          this.leaderboardView.showMessage("Your result could not be submitted.");
+        }
+      });
+    }
+  }
+
+  /**
+   * Loads and shows leaderboard of the board configuration and challenge
+   * @method
+   * @param {number=} highlightedRank - Zero-based rank of the entry to highlight, -1 for none
+   */
+  loadLeaderboard(highlightedRank = -1) {
+    if (!this.leaderboardView) {
+      return;
+    }
+    this.leaderboardStore.load(this.storage.configKey, this.challenge).then((leaderboard) => {
+      if (!this.destroyed) {
+        this.leaderboardView.show(leaderboard, highlightedRank);
+      }
+    }).catch(() => {
+      if (!this.destroyed) {
+        this.leaderboardView.showMessage("Leaderboard is unavailable.");
+      }
+    });
+  }
+
+  /**
+   * Advances the challenge clock and ends the game when time is up
+   * @method
+   * @param {number} deltaTime - Milliseconds since the previous update
+   */
+  updateChallenge(deltaTime) {
+    if (this.challengeRun.tick(this.state, deltaTime)) {
+      this.storage.saveGame(this.state);
+      this.storage.saveChallengeRun(this.challengeRun);
+      this.accessibility.announce(StatusText[this.state.status] + " Score " + this.state.score + ". Press Enter to try again.");
+      this.finishStats();
+      this.finishChallenge();
+    }
+  }
+
+  /**
+   * Returns countdown of the challenge limit or null if there is none
+   * @method
+   * @returns {?string}
+   */
+  get countdownText() {
+    if (this.challenge.timeLimit) {
+      const seconds = Math.ceil(this.challengeRun.timeLeft / 1000);
+      return Math.floor(seconds / 60) + ":" + ("0" + seconds % 60).slice(-2);
+    }
+    if (this.challenge.moveLimit) {
+      return this.challengeRun.movesLeft + " moves left";
+    }
+    return null;
+  }
+
+  /**
+   * Pauses the game, the clock of a challenge stops and moves are ignored
+   * @method
+   */
+  pause() {
+    if (!this.loop.paused) {
+      this.loop.pause();
+      this.input.moves = [];
+      this.accessibility.announce("Paused. Press P to resume.");
+    }
+  }
+
+  /**
+   * Resumes the paused game
+   * @method
+   */
+  resume() {
+    if (this.loop.paused) {
+      this.loop.resume();
+      this.accessibility.announce("Resumed.");
+    }
+  }
+
+  /**
+   * Continues won game after player has chosen to keep going
+   * @method
+   */
+  keepPlaying() {
+    this.state.keepPlaying();
+    this.accessibility.announce("Keep going.");
+  }
+
+  /**
+   * Goes back to the state before the last move
+   * @method
+   */
+  undo() {
+    const state = this.history.undo(this.state);
+    if (state) {
+      this.state = state;
+      this.animation.reset(this.state);
+      this.accessibility.announce("Move undone. Score " + this.state.score + ".");
+    }
+  }
+
+  /**
+   * Goes forward to the last undone state
+   * @method
+   */
+  redo() {
+    const state = this.history.redo(this.state);
+    if (state) {
+      this.state = state;
+      this.animation.reset(this.state);
+      this.accessibility.announce("Move redone. Score " + this.state.score + ".");
+    }
+  }
+
+  /**
+   * Updates availability of undo and redo buttons on page
+   * @method
+   */
+  updateHistoryButtons() {
+    let undoButton = this.element("undoButton");
+    let redoButton = this.element("redoButton");
+    undoButton.hidden = redoButton.hidden = !(this.history.limit > 0);
+    undoButton.classList.toggle("disabled", !this.history.canUndo);
+    undoButton.setAttribute("aria-disabled", !this.history.canUndo);
+    redoButton.classList.toggle("disabled", !this.history.canRedo);
+    redoButton.setAttribute("aria-disabled", !this.history.canRedo);
+  }
+
+  /**
+   * Game number form submit event handler
+   * @method
+   * @param {Object} event - Event
+   */
+  processGameNumber(event) {
+    event.preventDefault();
+    const seed = parseInt(this.element("gameNumber").value, 10);
+    if (0 <= seed && seed <= 0xFFFFFFFF) {
+      this.restart(seed);
+    } else {
+      this.updateGameNumber();
+    }
+  }
+
+  /**
+   * Updates game number field on page
+   * @method
+   */
+  updateGameNumber() {
+    let gameNumber = this.element("gameNumber");
+    if (gameNumber) {
+      gameNumber.value = this.seed;
+      gameNumber.disabled = (this.challenge.fixedSeed() !== null);
+      gameNumber.blur();
+    }
+  }
+
+  /**
+   * Does commands according to keyboard presses from input
+   * @method
+   */
+  doCommands() {
+    while (this.input.commands.length) {
+      const command = this.input.commands.shift();
+      if (command == Command.Pause || command == Command.Resume) {
+        if (command == Command.Pause && !this.loop.paused) {
+          this.pause();
+        } else {
+          this.resume();
+        }
+        continue;
+      }
+      if (this.player) {
+        continue; // Replay is controlled by its own buttons
+      }
+      if (command == Command.Undo) {
+        this.undo();
+      } else if (command == Command.Redo) {
+        this.redo();
+      } else if (command == Command.Restart) {
+        this.restart();
+      } else if (command == Command.Hint) {
+        this.assistant.requestHint();
+      } else if (command == Command.Continue) {
+        this.keepPlaying();
+      }
+      this.storage.saveGame(this.state);
+      this.updateHistoryButtons();
+    }
+  }
+
+  /**
+   * Sets color theme of the board
+   * @method
+   * @param {Theme} theme - Color theme
+   */
+  setTheme(theme) {
+    this.theme = theme;
+    this.graphics.theme = theme;
+    this.graphics.invalidated = true;
+    this.overlay.setTheme(theme);
+  }
+
+  /**
+   * Rebuilds graphics for a board of a given size
+   * @method
+   * @param {number} rows - Number of rows
+   * @param {number} columns - Number of columns
+   */
+  resizeBoard(rows, columns) {
+    if (this.graphics.rows != rows || this.graphics.columns != columns) {
+      this.graphics.destroy();
+      this.graphics = new GameGraphicsController(this.canvas, rows, columns, this.theme);
+      this.animation.graphics = this.graphics;
+    }
+  }
+
+  /**
+   * Connects replay controls on page to the controller
+   * @method
+   */
+  initReplayControls() {
+    let codeInput = this.element("replayCode");
+    if (!codeInput) {
+      return; // Embedded games have no replay controls
+    }
+    let speedSelect = this.element("replaySpeed");
+    codeInput.value = "";
+    codeInput.classList.remove("invalid");
+    this.listeners.add(this.element("exportReplayButton"), "click", () => { this.exportReplay(); });
+    this.listeners.add(this.element("watchReplayForm"), "submit", (e) => {
+      e.preventDefault();
+      const replay = Replay.decode(codeInput.value);
+      codeInput.classList.toggle("invalid", !replay);
+      if (replay) {
+        this.watchReplay(replay);
+      }
+    });
+    this.listeners.add(this.element("replayBackButton"), "click", () => { this.stepReplay(false); });
+    this.listeners.add(this.element("replayForwardButton"), "click", () => { this.stepReplay(true); });
+    this.listeners.add(this.element("replayPlayButton"), "click", () => {
+      this.player.setPlaying(!this.player.playing);
+      this.updateReplayControls();
+    });
+    this.listeners.add(speedSelect, "change", () => { this.player.speed = parseInt(speedSelect.value, 10); });
+    this.listeners.add(this.element("replayExitButton"), "click", () => { this.exitReplay(); });
+    this.updateReplayControls();
+  }
+
+  /**
+   * Shows replay code of the current game on page
+   * @method
+   */
+  exportReplay() {
+    let codeInput = this.element("replayCode");
+    const replay = Replay.fromState(this.player ? this.ownState : this.state);
+    codeInput.classList.toggle("invalid", !replay);
+    if (replay) {
+      codeInput.value = replay.encode();
+      codeInput.select();
+      if (navigator.clipboard) {
+        navigator.clipboard.writeText(codeInput.value).catch(() => {});
+      }
+    } else {
+      codeInput.value = "";
+      codeInput.placeholder = "This game was not recorded";
+    }
+  }
+
+  /**
+   * Starts watching a replay instead of playing
+   * @method
+   * @param {Replay} replay - Replay to watch
+   */
+  watchReplay(replay) {
+    if (!this.player) {
+      this.ownState = this.state;
+    }
+    this.assistant.setAutoplay(false);
+    this.input.reset();
+    this.player = new ReplayPlayer(replay);
+    this.player.speed = parseInt(this.element("replaySpeed").value, 10);
+    this.resizeBoard(replay.rows, replay.columns);
+    this.state = this.player.state;
+    this.animation.reset(this.state);
+    this.updateReplayControls();
+  }
+
+  /**
+   * Goes one move forward or back in the watched replay
+   * @method
+   * @param {boolean} forward - Whether to go forward
+   */
+  stepReplay(forward) {
+    this.player.setPlaying(false);
+    if (forward ? this.player.stepForward() : this.player.stepBack()) {
+      this.state = this.player.state;
+      if (forward) {
+        this.animation.addState(this.state);
+      } else {
+        this.animation.reset(this.state);
+      }
+    }
+    this.updateReplayControls();
+  }
+
+  /**
+   * Stops watching replay and returns to player's game
+   * @method
+   */
+  exitReplay() {
+    this.player = null;
+    this.state = this.ownState;
+    this.ownState = null;
+    this.input.reset();
+    this.resizeBoard(this.rows, this.columns);
+    this.animation.reset(this.state);
+    this.updateReplayControls();
+  }
+
+  /**
+   * Advances the watched replay according to playback timer and arrow keys
+   * @method
+   */
+  doReplay() {
+    while (this.input.moves.length) {
+      const direction = this.input.moves.shift();
+      if (direction == Direction.Left || direction == Direction.Right) {
+        this.stepReplay(direction == Direction.Right);
+      }
+    }
+    if (this.player.update()) {
+      this.state = this.player.state;
+      this.animation.addState(this.state);
+      this.updateReplayControls();
+    }
+  }
+
+  /**
+   * Updates replay controls on page
+   * @method
+   */
+  updateReplayControls() {
+    if (!this.element("replayControls")) {
+      return;
+    }
+    this.element("replayControls").hidden = !this.player;
+    this.element("watchReplayForm").hidden = !!this.player;
+    if (this.player) {
+      this.element("replayPlayButton").innerHTML = (this.player.playing ? "Pause" : "Play");
+      this.element("replayPosition").innerHTML = this.player.position + " / " + this.player.length;
+    }
+  }
+
+  /**
+   * Does moves according to keyboard presses from input
+   * @method
+   */
+  doMoves() {
+    while (this.input.moves.length) {
+      const direction = this.input.moves.shift();
+      if (this.state.status == GameStatus.Won || this.state.isFinished) {
+        continue; // Player chooses on the overlay whether to keep going or try again
+      }
+      const prevState = this.state.clone();
+      if (this.state.move(direction)) {
+        this.challengeRun.recordMove(this.state);
+        this.storage.saveChallengeRun(this.challengeRun);
+        this.history.push(prevState);
+        this.animation.addState(this.state);
+        this.storage.saveGame(this.state);
+        this.updateHistoryButtons();
+        this.accessibility.announceMove(prevState, this.state, direction);
+        this.statsCollector.recordMove(this.state);
+        this.storage.saveStatsCollector(this.statsCollector);
+        if (this.state.isFinished) {
+          this.finishStats();
+        }
+        this.finishChallenge();
+      }
+    }
+  }
+
+  /**
+   * Updates game score containers on page
+   * @method
+   */
+  updateScore() {
+    if (this.score != this.state.score) {
+      let gameScore = this.element('gameScore');
+      this.score = this.state.score
+      gameScore.innerHTML = this.score;
+    }
+    if (this.score > this.bestScore && !this.player) {
+      let bestScore = this.element('bestScore');
+      this.bestScore = this.score;
+      bestScore.innerHTML = this.bestScore;
+      this.storage.saveBestScore(this.bestScore);
+    }
+  }
+
+  /**
+   * Handles input on every frame, including pause commands while paused
+   * @method
+   */
+  poll() {
+    this.input.pollGamepads();
+    this.doCommands();
+    if (this.loop.paused) {
+      this.input.moves = [];
+    }
+    this.watchState();
   }
 
   /**
-   * Restarts the game
+   * Advances the game by one fixed time step
    * @method
+   * @param {number} deltaTime - Step duration in milliseconds
    */
-  restart() {
-    this.state = new GameState(this.rows, this.columns, this.targetTileLevel);
-    this.input.reset();
-    this.animation.addState(this.state);
+  update(deltaTime) {
+    this.watchState();
+    if (this.player) {
+      this.doReplay();
+    } else {
+      this.doMoves();
+      this.updateChallenge(deltaTime);
+      this.assistant.update(this.state);
+    }
+    this.animation.advance(deltaTime);
+    this.overlay.advance(deltaTime);
+  }
+
+  /**
+   * Draws the game when anything visible has changed since the last frame
+   * @method
+   */
+  render() {
+    this.events.emit(GameEvent.Frame, { "paused": this.loop.paused });
+    this.updateAssistantControls();
     this.updateScore();
+    this.accessibility.show(this.state);
+    this.overlay.update(this.state.status, this.history.canUndo, !this.player, this.loop.paused);
+    const hint = (this.player ? null : this.assistant.hint);
+    const countdown = (this.player ? null : this.countdownText);
+    const frameKey = hint + "|" + countdown;
+    if (!this.animation.isAnimating && !this.animation.invalidated && !this.graphics.invalidated &&
+        !this.overlay.isAnimating && !this.overlay.invalidated && frameKey == this.frameKey) {
+      return;
+    }
+    this.frameKey = frameKey;
+    this.animation.draw();
+    if (hint !== null) {
+      this.graphics.drawHint(hint);
+    }
+    if (countdown !== null) {
+      this.graphics.drawCountdown(countdown);
+    }
+    this.overlay.draw(this.graphics.dimensions);
   }
 
   /**
-   * Does moves according to keyboard presses from input
+   * Starts the game
    * @method
    */
-  doMoves() {
-    while (this.input.moves.length) {
-      const direction = this.input.moves.shift();
-      if (this.state.move(direction)) {
-        this.animation.addState(this.state);
-      }
-      if (this.state.status == GameStatus.Won) {
-        const keyboardIgnoreTimeMs = 2500;
-        this.input.blockForMilliseconds(keyboardIgnoreTimeMs);
+  start() {
+    this.loop.start();
+  }
+
+  /**
+   * Stops the game and detaches it from page so another one can take its canvas
+   * @method
+   */
+  destroy() {
+    this.destroyed = true;
+    this.loop.stop();
+    this.uninstallers.forEach((uninstall) => { uninstall(); });
+    this.watchState();
+    this.storage.saveChallengeRun(this.challengeRun);
+    this.listeners.removeAll();
+    this.assistant.destroy();
+    this.input.destroy();
+    this.overlay.destroy();
+    if (this.statsView) {
+      this.statsView.destroy();
+    }
+    if (this.leaderboardView) {
+      this.leaderboardView.destroy();
+    }
+    this.graphics.destroy();
+  }
+}
+
+/**
+ * Represents two-player versus controller with a board for each player side by side;
+ * Player one moves with WASD and player two with the arrow keys, swipes move the swiped board
+ * @class
+ */
+class VersusController {
+  /**
+   * @constructs VersusController
+   * @method
+   * @param {!Array<Element>} canvases - Canvases of player one and player two
+   * @param {GameSettings} settings - Board configuration of both boards
+   * @param {Theme} theme - Color theme
+   * @param {!Object=} options - Match options of VersusMatch
+   */
+  constructor(canvases, settings, theme, options = {}) {
+    this.settings = settings;
+    this.options = options;
+    const keyMappings = [KeyMappings["wasd"], KeyMappings["arrows"]];
+    this.boards = canvases.map((canvas, player) => {
+      const graphics = new GameGraphicsController(canvas, settings.rows, settings.columns, theme);
+      const input = new GameInputController(canvas, window, keyMappings[player]);
+      return {
+        graphics: graphics,
+        animation: new GameAnimationController(graphics),
+        input: input,
+        overlay: new GameOverlay(canvas, theme, input),
+        accessibility: new GameAccessibility(document.getElementById("versusGrid" + (player + 1)),
+          document.getElementById("versusAnnouncer" + (player + 1))),
+        score: document.getElementById("versusScore" + (player + 1)),
+      };
+    });
+    this.clock = document.getElementById("versusClock");
+    this.result = document.getElementById("versusResult");
+    this.loop = new GameLoop(() => { this.poll(); }, (deltaTime) => { this.update(deltaTime); }, () => { this.render(); });
+    this.frameKey = null; // Scores, clock and result shown on the last rendered frame
+    this.match = null;
+    this.listeners = new ListenerGroup();
+    this.listeners.add(document, "visibilitychange", () => {
+      if (document.hidden) {
+        this.loop.pause();
       }
+    });
+    this.listeners.add(window, "blur", () => { this.loop.pause(); });
+    this.restart();
+  }
+
+  /**
+   * Starts a new match, both players get the same seed
+   * @method
+   * @param {number=} seed - Seed of both boards, a random one is used if omitted
+   */
+  restart(seed = Random.generateSeed()) {
+    this.match = new VersusMatch(this.settings.rows, this.settings.columns, this.settings.targetTileLevel, seed,
+      this.settings.rules, this.options);
+    this.boards.forEach((board, player) => {
+      board.input.reset();
+      board.animation.addState(this.match.states[player]);
+    });
+    this.boards[0].accessibility.announce("New match #" + seed + ".");
+  }
+
+  /**
+   * Queues the state of a player's board for drawing unless it is already queued, e.g. after garbage has landed
+   * @method
+   * @param {number} player - Index of the player
+   */
+  showState(player) {
+    const state = this.match.states[player];
+    const queue = this.boards[player].animation.stateHistory;
+    if (!queue.length || !queue[queue.length - 1].equals(state)) {
+      this.boards[player].animation.addState(state);
     }
   }
 
   /**
-   * Updates game score containers on page
+   * Returns status shown on a player's board, the match result once it is decided
    * @method
+   * @param {number} player - Index of the player
+   * @returns {GameStatus}
    */
-  updateScore() {
-    if (this.score != this.state.score) {
-      let gameScore = document.getElementById('gameScore');
-      this.score = this.state.score
-      gameScore.innerHTML = this.score;
+  statusOf(player) {
+    if (!this.match.isOver) {
+      return (this.match.states[player].isFinished ? GameStatus.Lost : GameStatus.InProgress);
+    } else if (this.match.winner == player) {
+      return GameStatus.Won;
+    } else {
+      return (this.match.mode == VersusMode.Timed ? GameStatus.TimeUp : GameStatus.Lost);
     }
-    if (this.score > this.bestScore) {
-      let bestScore = document.getElementById('bestScore');
-      this.bestScore = this.score;
-      bestScore.innerHTML = this.bestScore;
+  }
+
+  /**
+   * Returns text describing the match result, null while it goes on
+   * @method
+   * @returns {?string}
+   */
+  get resultText() {
+    if (!this.match.isOver) {
+      return null;
     }
+    return (this.match.winner == -1 ? "Draw!" : "Player " + (this.match.winner + 1) + " wins!");
   }
 
   /**
-   * Game tick function
+   * Handles pause commands on every frame, only player one's queue is read as both key sets push them
    * @method
    */
-  tick() {
-    this.doMoves();
-    this.updateScore();
-    this.animation.draw();
-    this.overlay.update(this.state.status);
-    this.overlay.draw();
-    window.requestAnimationFrame(() => { this.tick(); });
+  poll() {
+    const commands = this.boards[0].input.commands;
+    this.boards.forEach((board) => { board.input.commands = []; });
+    commands.forEach((command) => {
+      if (command == Command.Pause && !this.loop.paused) {
+        this.loop.pause();
+      } else if (command == Command.Pause || command == Command.Resume) {
+        this.loop.resume();
+      }
+    });
+    if (this.loop.paused) {
+      this.boards.forEach((board) => { board.input.moves = []; });
+    }
   }
 
   /**
-   * Starts the game
+   * Does queued moves of both players and advances the clock by one fixed time step
+   * @method
+   * @param {number} deltaTime - Step duration in milliseconds
+   */
+  update(deltaTime) {
+    const wasOver = this.match.isOver;
+    this.boards.forEach((board, player) => {
+      while (board.input.moves.length) {
+        if (this.match.move(player, board.input.moves.shift())) {
+          this.showState(player);
+          this.showState(1 - player);
+        }
+      }
+    });
+    this.match.tick(deltaTime);
+    if (this.match.isOver && !wasOver) {
+      this.boards[0].accessibility.announce(this.resultText);
+    }
+    this.boards.forEach((board) => {
+      board.animation.advance(deltaTime);
+      board.overlay.advance(deltaTime);
+    });
+  }
+
+  /**
+   * Draws boards that have changed and updates scores, clock and result on page
+   * @method
+   */
+  render() {
+    const timed = (this.match.mode == VersusMode.Timed);
+    const seconds = Math.ceil(this.match.timeLeft / 1000);
+    const clockText = (timed ? Math.floor(seconds / 60) + ":" + ("0" + seconds % 60).slice(-2) : "");
+    const frameKey = this.match.states.map((state) => state.score).join("|") + "|" + clockText + "|" + this.resultText;
+    if (frameKey != this.frameKey) {
+      this.frameKey = frameKey;
+      this.boards.forEach((board, player) => { board.score.textContent = this.match.states[player].score; });
+      this.clock.textContent = clockText;
+      this.result.textContent = this.resultText || "";
+    }
+    this.boards.forEach((board, player) => {
+      board.accessibility.show(this.match.states[player]);
+      board.overlay.update(this.statusOf(player), false, false, this.loop.paused);
+      if (board.animation.isAnimating || board.animation.invalidated || board.graphics.invalidated ||
+          board.overlay.isAnimating || board.overlay.invalidated) {
+        board.animation.draw();
+        board.overlay.draw(board.graphics.dimensions);
+      }
+    });
+  }
+
+  /**
+   * Starts the match
    * @method
    */
   start() {
-    this.tick();
+    this.loop.start();
+  }
+
+  /**
+   * Stops the match and detaches it from page
+   * @method
+   */
+  destroy() {
+    this.loop.stop();
+    this.listeners.removeAll();
+    this.boards.forEach((board) => {
+      board.input.destroy();
+      board.overlay.destroy();
+      board.graphics.destroy();
+    });
+  }
+}
+
+/**
+ * Represents settings panel that rebuilds the game with a new board configuration
+ * @class
+ */
+class SettingsPanel {
+  /**
+   * @constructs SettingsPanel
+   * @method
+   * @param {Element} form - Settings form
+   * @param {GameSettings} settings - Initial board configuration
+   * @param {function(GameSettings)} onApply - Called with configuration chosen by player
+   */
+  constructor(form, settings, onApply) {
+    this.form = form;
+    this.onApply = onApply;
+    this.rowsSelect = document.getElementById("rowsSetting");
+    this.columnsSelect = document.getElementById("columnsSetting");
+    this.targetSelect = document.getElementById("targetSetting");
+    this.variantSelect = document.getElementById("variantSetting");
+    for (let id in Variants) {
+      this.variantSelect.add(new Option(Variants[id]["name"], id));
+    }
+    this.challengeSelect = document.getElementById("challengeSetting");
+    for (let id in Challenges) {
+      this.challengeSelect.add(new Option(Challenges[id]["name"], id));
+    }
+    this.difficultyInput = document.getElementById("difficultySetting");
+    for (let id = 0; id < GameSettings.sizes.length; id++) {
+      const size = GameSettings.sizes[id];
+      this.rowsSelect.add(new Option(size, size));
+      this.columnsSelect.add(new Option(size, size));
+    }
+    for (let id = 0; id < GameSettings.targetTileLevels.length; id++) {
+      const level = GameSettings.targetTileLevels[id];
+      this.targetSelect.add(new Option(level, level));
+    }
+    this.show(settings);
+    this.form.addEventListener("submit", (e) => { this.processSubmit(e); });
+    this.variantSelect.addEventListener("change", () => { this.showTargetValues(Rules.byId(this.variantSelect.value)); });
+  }
+
+  /**
+   * Labels target options with tile values of given rules
+   * @method
+   * @param {Rules} rules - Rules of the selected variant
+   */
+  showTargetValues(rules) {
+    for (let id = 0; id < this.targetSelect.options.length; id++) {
+      let option = this.targetSelect.options[id];
+      option.text = rules.tileValue(parseInt(option.value, 10));
+    }
+  }
+
+  /**
+   * Shows a given configuration in the form
+   * @method
+   * @param {GameSettings} settings - Board configuration
+   */
+  show(settings) {
+    this.rowsSelect.value = settings.rows;
+    this.columnsSelect.value = settings.columns;
+    this.targetSelect.value = settings.targetTileLevel;
+    this.variantSelect.value = settings.variant;
+    this.challengeSelect.value = settings.challenge;
+    this.difficultyInput.value = settings.difficulty;
+    this.showTargetValues(settings.rules);
+    document.getElementById("targetTile").innerHTML = settings.rules.tileValue(settings.targetTileLevel) + " tile!";
+  }
+
+  /**
+   * Settings form submit event handler
+   * @method
+   * @param {Object} event - Event
+   */
+  processSubmit(event) {
+    event.preventDefault();
+    const settings = new GameSettings(
+      parseInt(this.rowsSelect.value, 10),
+      parseInt(this.columnsSelect.value, 10),
+      parseInt(this.targetSelect.value, 10),
+      this.variantSelect.value,
+      this.challengeSelect.value,
+      parseInt(this.difficultyInput.value, 10));
+    this.show(settings);
+    this.onApply(settings);
+  }
+}
+
+/**
+ * Represents banner offering to reload the page once the service worker of a new build is installed
+ * @class
+ */
+class UpdateBanner {
+  /**
+   * @constructs UpdateBanner
+   * @method
+   * @param {Element} banner - Banner element with update and dismiss buttons, hidden until an update is available
+   */
+  constructor(banner) {
+    this.banner = banner;
+    this.waitingWorker = null;
+    this.reloading = false;
+    document.getElementById("updateButton").addEventListener("click", () => { this.update(); });
+    document.getElementById("updateDismissButton").addEventListener("click", () => { this.banner.hidden = true; });
+  }
+
+  /**
+   * Registers service worker and watches it for new builds, does nothing where service workers are unavailable
+   * @method
+   * @param {string} url - URL of service worker script
+   */
+  register(url) {
+    if (!("serviceWorker" in navigator)) {
+      return;
+    }
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      // The new worker took over after the player accepted the update, pages are reloaded only once
+      if (this.waitingWorker && !this.reloading) {
+        this.reloading = true;
+        window.location.reload();
+      }
+    });
+    navigator.serviceWorker.register(url).then((registration) => {
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        this.show(registration.waiting);
+      }
+      registration.addEventListener("updatefound", () => {
+        const worker = registration.installing;
+        worker.addEventListener("statechange", () => {
+          // First install has no controller, there is nothing to update then
+          if (worker.state == "installed" && navigator.serviceWorker.controller) {
+            this.show(worker);
+          }
+        });
+      });
+    }, () => {}); // The game still works online without a worker, e.g. on pages served over plain HTTP
+  }
+
+  /**
+   * Shows banner for a worker waiting to activate
+   * @method
+   * @param {ServiceWorker} worker - Waiting service worker
+   */
+  show(worker) {
+    this.waitingWorker = worker;
+    this.banner.hidden = false;
+  }
+
+  /**
+   * Activates waiting worker, the page reloads when it takes control
+   * @method
+   */
+  update() {
+    this.banner.hidden = true;
+    this.waitingWorker.postMessage({ "type": "skipWaiting" });
+  }
+}
+
+/**
+ * Registers service worker of the built app and shows its update banner if the page has one
+ * @function
+ */
+function registerServiceWorker() {
+  const banner = document.getElementById("updateBanner");
+  if (banner) {
+    new UpdateBanner(banner).register("sw.js");
+  }
+}
+
+/**
+ * Applies page colors of a theme
+ * @function
+ * @param {Theme} theme - Color theme
+ * @param {Element=} element - Element to color with its descendants, the whole page by default
+ */
+function applyPageTheme(theme, element = document.documentElement) {
+  const variables = theme.cssVariables;
+  for (let name in variables) {
+    element.style.setProperty(name, variables[name]);
+  }
+}
+
+/**
+ * Base class of the embeddable element, a plain class where custom elements are unavailable so the script still loads
+ * @type {function(new: HTMLElement)}
+ */
+const GameElementBase = (typeof HTMLElement !== "undefined" ? HTMLElement : class {});
+
+/**
+ * Represents embeddable <game-2048> element with its own header, scores and board;
+ * Attributes are rows, columns, target tile value, variant, seed, theme and storage-namespace,
+ * elements with the same configuration share their saved game unless their storage namespaces differ
+ * @class
+ */
+class GameElement extends GameElementBase {
+  /**
+   * @constructs GameElement
+   * @method
+   */
+  constructor() {
+    super();
+    this.game = null;
+    this.attachShadow({ mode: "open" }).innerHTML = GameElement.template;
+  }
+
+  /**
+   * Returns names of attributes restarting the game when changed
+   * @method
+   * @returns {!Array<string>}
+   */
+  static get attributeNames() {
+    return ["rows", "columns", "target", "variant", "seed", "theme", "storage-namespace"];
+  }
+
+  /**
+   * Returns markup of the shadow root
+   * @method
+   * @returns {string}
+   */
+  static get template() {
+    return "<style>" +
+      ":host { display: block; padding: 8px; background-color: var(--page-background, #faf8ef);" +
+      " color: var(--page-text, #776e65); font-family: \"Clear Sans\", \"Helvetica Neue\", Arial, sans-serif; }" +
+      ":host(:focus) { outline: 2px solid var(--button-background, #8f7a66); }" +
+      ".header { display: flex; align-items: center; gap: 8px; margin-bottom: 8px; }" +
+      ".title { flex: 1; margin: 0; font-size: 32px; }" +
+      ".score_container { padding: 4px 12px; border-radius: 5px; text-align: center; text-transform: uppercase;" +
+      " font-size: 11px; font-weight: bold; background-color: var(--panel-background, #bbada0); color: var(--panel-text, #eee4da); }" +
+      ".score { color: white; font-size: 18px; }" +
+      ".button { padding: 6px 12px; border: none; border-radius: 5px; cursor: pointer; font: inherit; font-weight: bold;" +
+      " background-color: var(--button-background, #8f7a66); color: var(--button-text, white); }" +
+      ".button.disabled { opacity: 0.5; cursor: default; }" +
+      ".board { margin-top: 8px; }" +
+      ".game_canvas { display: block; margin: 0 auto; touch-action: none; }" +
+      ".visually_hidden { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }" +
+      "</style>" +
+      "<div class=\"header\">" +
+      "<h2 class=\"title\" id=\"targetTile\">2048</h2>" +
+      "<div class=\"score_container\">score<div class=\"score\" id=\"gameScore\">0</div></div>" +
+      "<div class=\"score_container\">best<div class=\"score\" id=\"bestScore\">0</div></div>" +
+      "</div>" +
+      "<button class=\"button\" id=\"restartButton\" type=\"button\">New Game</button> " +
+      "<button class=\"button\" id=\"undoButton\" type=\"button\" title=\"Undo (Ctrl+Z)\">Undo</button> " +
+      "<button class=\"button\" id=\"redoButton\" type=\"button\" title=\"Redo (Ctrl+Y)\">Redo</button>" +
+      "<div class=\"board\">" +
+      "<canvas class=\"game_canvas\" id=\"gameCanvas\" aria-hidden=\"true\"></canvas>" +
+      "</div>" +
+      "<div class=\"visually_hidden\" id=\"boardGrid\" role=\"grid\" aria-readonly=\"true\"></div>" +
+      "<div class=\"visually_hidden\" id=\"announcer\" role=\"status\" aria-live=\"polite\" aria-atomic=\"true\"></div>";
+  }
+
+  /**
+   * Returns board configuration given by attributes, invalid ones are replaced with defaults
+   * @method
+   * @returns {GameSettings}
+   */
+  get settings() {
+    let params = new URLSearchParams();
+    ["rows", "columns", "target", "variant"].forEach((name) => {
+      if (this.hasAttribute(name)) {
+        params.set(name, this.getAttribute(name));
+      }
+    });
+    return GameSettings.fromQuery("?" + params.toString());
+  }
+
+  /**
+   * Returns game number given by the seed attribute, null if there is none
+   * @method
+   * @returns {?number}
+   */
+  get seed() {
+    const seed = parseInt(this.getAttribute("seed"), 10);
+    return (0 <= seed && seed <= 0xFFFFFFFF ? seed : null);
+  }
+
+  /**
+   * Starts the game once the element is on page
+   * @method
+   */
+  connectedCallback() {
+    if (!this.hasAttribute("tabindex")) {
+      this.setAttribute("tabindex", "0"); // Keys move the board only while it has focus
+    }
+    this.startGame();
+  }
+
+  /**
+   * Stops the game once the element is removed from page
+   * @method
+   */
+  disconnectedCallback() {
+    this.stopGame();
+  }
+
+  /**
+   * Applies a changed attribute, the theme is switched in place and other attributes start the game again
+   * @method
+   * @param {string} name - Attribute name
+   */
+  attributeChangedCallback(name) {
+    if (!this.game) {
+      return;
+    }
+    if (name == "theme") {
+      const theme = Theme.byId(this.getAttribute("theme"));
+      applyPageTheme(theme, this);
+      this.game.setTheme(theme);
+    } else {
+      this.stopGame();
+      this.startGame();
+    }
+  }
+
+  /**
+   * Creates and starts the game, a saved one is continued unless the seed attribute asks for another one
+   * @method
+   */
+  startGame() {
+    const settings = this.settings;
+    const theme = Theme.byId(this.getAttribute("theme"));
+    applyPageTheme(theme, this);
+    this.shadowRoot.getElementById("targetTile").textContent = settings.rules.tileValue(settings.targetTileLevel);
+    const canvas = this.shadowRoot.getElementById("gameCanvas");
+    this.game = new GameController(canvas, settings, theme, Infinity, null, this.getAttribute("storage-namespace") || "");
+    const seed = this.seed;
+    if (seed !== null && this.game.seed != seed) {
+      this.game.restart(seed);
+    }
+    this.game.start();
+  }
+
+  /**
+   * Stops the game
+   * @method
+   */
+  stopGame() {
+    if (this.game) {
+      this.game.destroy();
+      this.game = null;
+    }
+  }
+
+  /**
+   * Starts a new game
+   * @method
+   * @param {number=} seed - Game number, a random one if omitted
+   */
+  restart(seed) {
+    if (this.game) {
+      this.game.restart(seed);
+    }
+  }
+
+  /**
+   * Queues a move as if its key was pressed
+   * @method
+   * @param {Direction} direction - Direction, one of "up", "down", "left" and "right"
+   */
+  move(direction) {
+    if (this.game && Replay.directions.indexOf(direction) != -1) {
+      this.game.input.pushMove(direction);
+    }
+  }
+
+  /**
+   * Returns saved game format of the current game, null if the element is not on page
+   * @method
+   * @returns {?Object}
+   */
+  getState() {
+    return (this.game ? this.game.state.serialize() : null);
   }
 }
 
@@ -1055,8 +3453,90 @@ class GameController {
  */
 function main() {
   let gameCanvas = document.getElementById("gameCanvas");
-  let game = new GameController(gameCanvas, 4, 4, 11); //4x4 board, 2^11 = 2048 tile to win
+  let settings = GameSettings.fromQuery(window.location.search); // Classic 4x4 board, 2^11 = 2048 tile to win by default
+  let storage = new GameStorage(settings.key);
+  let themeId = storage.loadTheme();
+  let theme = Theme.byId(themeId);
+  applyPageTheme(theme);
+  const leaderboardMeta = document.querySelector("meta[name=leaderboard-url]");
+  const leaderboardUrl = (leaderboardMeta ? leaderboardMeta.content : ""); // Pages without the tag keep leaderboards locally
+  const leaderboardStore = (leaderboardUrl ? new HttpLeaderboardStore(leaderboardUrl) : new LocalLeaderboardStore(storage.storage));
+  let game = new GameController(gameCanvas, settings, theme, Infinity, leaderboardStore);
   game.start();
+  let plugins = []; // Installed again on games started with new settings
+  window["game2048"] = {
+    "use": (plugin) => {
+      plugins.push(plugin);
+      game.use(plugin);
+    },
+  };
+  let settingsForm = document.getElementById("settingsForm");
+  new SettingsPanel(settingsForm, settings, (newSettings) => {
+    window.history.replaceState(null, "", newSettings.toQuery());
+    game.destroy();
+    game = new GameController(gameCanvas, newSettings, theme, Infinity, leaderboardStore);
+    plugins.forEach((plugin) => { game.use(plugin); });
+    game.start();
+  });
+  let themeSelect = document.getElementById("themeSetting");
+  for (let id in Themes) {
+    themeSelect.add(new Option(Themes[id]["name"], id));
+  }
+  themeSelect.value = (Themes.hasOwnProperty(themeId) ? themeId : "classic");
+  themeSelect.addEventListener("change", () => {
+    theme = Theme.byId(themeSelect.value);
+    storage.saveTheme(themeSelect.value);
+    applyPageTheme(theme);
+    game.setTheme(theme);
+  });
+  registerServiceWorker();
+}
+
+/**
+ * Main function of the versus page
+ * @function
+ */
+function versusMain() {
+  const settings = GameSettings.fromQuery(window.location.search);
+  const theme = Theme.byId(new GameStorage(settings.key).loadTheme());
+  applyPageTheme(theme);
+  const canvases = [document.getElementById("versusCanvas1"), document.getElementById("versusCanvas2")];
+  let modeSelect = document.getElementById("versusMode");
+  let garbageInput = document.getElementById("versusGarbage");
+  let versus = null;
+  const startMatch = () => {
+    if (versus) {
+      versus.destroy();
+    }
+    versus = new VersusController(canvases, settings, theme, {
+      "mode": modeSelect.value,
+      "garbageLevel": (garbageInput.checked ? 6 : 0), // Merges into 64 or more with classic rules
+    });
+    versus.start();
+  };
+  document.getElementById("versusForm").addEventListener("submit", (e) => {
+    e.preventDefault();
+    startMatch();
+  });
+  startMatch();
+  registerServiceWorker();
+}
+
+if (typeof customElements !== "undefined") {
+  // Names called by browsers and embedding pages are quoted so the compiler keeps them
+  const elementPrototype = GameElement.prototype;
+  elementPrototype["connectedCallback"] = elementPrototype.connectedCallback;
+  elementPrototype["disconnectedCallback"] = elementPrototype.disconnectedCallback;
+  elementPrototype["attributeChangedCallback"] = elementPrototype.attributeChangedCallback;
+  elementPrototype["restart"] = elementPrototype.restart;
+  elementPrototype["move"] = elementPrototype.move;
+  elementPrototype["getState"] = elementPrototype.getState;
+  Object.defineProperty(GameElement, "observedAttributes", { get: () => GameElement.attributeNames });
+  customElements.define("game-2048", GameElement);
 }
 
-main();
\ No newline at end of file
+if (typeof document !== "undefined" && document.getElementById("gameCanvas")) {
+  main(); // Pages only embedding <game-2048> elements have no game of their own
+} else if (typeof document !== "undefined" && document.getElementById("versusCanvas1")) {
+  versusMain();
+}
\ No newline at end of file
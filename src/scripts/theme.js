@@ -0,0 +1,257 @@
+'use strict';
+
+/**
+ * Built-in themes, each one is a JSON object with the same structure
+ * @type {!Object<string, !Object>}
+ */
+const Themes = {
+  "classic": {
+    "name": "Classic",
+    "page": {
+      "background": "#FAF8EF",
+      "text": "#776E65",
+      "panel": "#BBADA0",
+      "panelText": "#EEE4DA",
+      "button": "#8F7A66",
+      "buttonText": "#FFFFFF",
+    },
+    "board": "#BBADA0",
+    "emptyTile": "#CDC1B4",
+    "tiles": [
+      { "background": "#EEE4DA", "text": "#776E65" }, // 2
+      { "background": "#EDE0C8", "text": "#776E65" }, // 4
+      { "background": "#F2B179", "text": "#F9F6F2" }, // 8
+      { "background": "#F59563", "text": "#F9F6F2" }, // 16
+      { "background": "#F67C5F", "text": "#F9F6F2" }, // 32
+      { "background": "#F76E4F", "text": "#F9F6F2" }, // 64
+      { "background": "#EDCF72", "text": "#F9F6F2" }, // 128
+      { "background": "#EDCC61", "text": "#F9F6F2" }, // 256
+      { "background": "#EDC850", "text": "#F9F6F2" }, // 512
+      { "background": "#EDC53F", "text": "#F9F6F2" }, // 1024
+      { "background": "#EDC22E", "text": "#F9F6F2" }, // 2048
+    ],
+    "specialTiles": {
+      "wall": { "background": "#776E65", "text": "#F9F6F2" },
+      "wildcard": { "background": "#8FC9C2", "text": "#F9F6F2" },
+      "bomb": { "background": "#3C3A32", "text": "#F67C5F" },
+    },
+    "generatedTiles": { "hue": 280, "saturation": 45, "lightness": 30, "text": "#F9F6F2" },
+    "fonts": { "tile": "Arial", "overlay": "Arial" },
+    "overlay": {
+      "won": { "color": "#EDC22E", "opacity": 0.5, "text": "#F8F5F1" },
+      "lost": { "color": "#EDE3D9", "opacity": 0.5, "text": "#776E65" },
+      "hint": { "color": "#776E65", "opacity": 0.6 },
+    },
+  },
+  "dark": {
+    "name": "Dark",
+    "page": {
+      "background": "#1E1E24",
+      "text": "#D8D4CF",
+      "panel": "#3A3A44",
+      "panelText": "#A8A4A0",
+      "button": "#5A5266",
+      "buttonText": "#FFFFFF",
+    },
+    "board": "#3A3A44",
+    "emptyTile": "#4A4A56",
+    "tiles": [
+      { "background": "#6B6570", "text": "#F2EEE8" }, // 2
+      { "background": "#7A6F80", "text": "#F2EEE8" }, // 4
+      { "background": "#A0617A", "text": "#FFFFFF" }, // 8
+      { "background": "#B5566A", "text": "#FFFFFF" }, // 16
+      { "background": "#C44A58", "text": "#FFFFFF" }, // 32
+      { "background": "#D13D45", "text": "#FFFFFF" }, // 64
+      { "background": "#3F8F9A", "text": "#FFFFFF" }, // 128
+      { "background": "#358A8A", "text": "#FFFFFF" }, // 256
+      { "background": "#2B8577", "text": "#FFFFFF" }, // 512
+      { "background": "#218063", "text": "#FFFFFF" }, // 1024
+      { "background": "#177B4F", "text": "#FFFFFF" }, // 2048
+    ],
+    "specialTiles": {
+      "wall": { "background": "#24242B", "text": "#D8D4CF" },
+      "wildcard": { "background": "#5C8FB8", "text": "#FFFFFF" },
+      "bomb": { "background": "#101014", "text": "#F25C54" },
+    },
+    "generatedTiles": { "hue": 200, "saturation": 55, "lightness": 35, "text": "#FFFFFF" },
+    "fonts": { "tile": "Arial", "overlay": "Arial" },
+    "overlay": {
+      "won": { "color": "#177B4F", "opacity": 0.5, "text": "#FFFFFF" },
+      "lost": { "color": "#1E1E24", "opacity": 0.6, "text": "#D8D4CF" },
+      "hint": { "color": "#D8D4CF", "opacity": 0.6 },
+    },
+  },
+  "highContrast": {
+    "name": "High contrast",
+    "page": {
+      "background": "#FFFFFF",
+      "text": "#000000",
+      "panel": "#000000",
+      "panelText": "#FFFFFF",
+      "button": "#000000",
+      "buttonText": "#FFFFFF",
+    },
+    "board": "#000000",
+    "emptyTile": "#FFFFFF",
+    "tiles": [
+      { "background": "#FFFF00", "text": "#000000" }, // 2
+      { "background": "#00FFFF", "text": "#000000" }, // 4
+      { "background": "#00FF00", "text": "#000000" }, // 8
+      { "background": "#FF00FF", "text": "#000000" }, // 16
+      { "background": "#FF8000", "text": "#000000" }, // 32
+      { "background": "#0000FF", "text": "#FFFFFF" }, // 64
+      { "background": "#FF0000", "text": "#FFFFFF" }, // 128
+      { "background": "#008000", "text": "#FFFFFF" }, // 256
+      { "background": "#800080", "text": "#FFFFFF" }, // 512
+      { "background": "#804000", "text": "#FFFFFF" }, // 1024
+      { "background": "#000080", "text": "#FFFFFF" }, // 2048
+    ],
+    "specialTiles": {
+      "wall": { "background": "#808080", "text": "#FFFFFF" },
+      "wildcard": { "background": "#FFFFFF", "text": "#000000" },
+      "bomb": { "background": "#000000", "text": "#FF0000" },
+    },
+    "generatedTiles": { "hue": 0, "saturation": 100, "lightness": 12, "text": "#FFFF00" }, // Dark enough for yellow text at every hue
+    "fonts": { "tile": "Verdana, Arial", "overlay": "Verdana, Arial" },
+    "overlay": {
+      "won": { "color": "#000000", "opacity": 0.8, "text": "#FFFF00" },
+      "lost": { "color": "#000000", "opacity": 0.8, "text": "#FFFFFF" },
+      "hint": { "color": "#FF00FF", "opacity": 0.9 },
+    },
+  },
+}
+
+/**
+ * Represents color theme of the game
+ * @class
+ */
+class Theme {
+  /**
+   * @constructs Theme
+   * @method
+   * @param {!Object} data - Theme JSON object, missing parts are taken from the classic theme
+   */
+  constructor(data) {
+    const classic = Themes["classic"];
+    const pick = (section, key) => (data[section] && data[section][key] !== undefined ? data[section][key] : classic[section][key]);
+    this.name = data["name"] || classic["name"];
+    this.page = {};
+    for (let key in classic["page"]) {
+      this.page[key] = pick("page", key);
+    }
+    this.board = data["board"] || classic["board"];
+    this.emptyTile = data["emptyTile"] || classic["emptyTile"];
+    this.tiles = (Array.isArray(data["tiles"]) && data["tiles"].length ? data["tiles"] : classic["tiles"]);
+    this.generatedTiles = {};
+    for (let key in classic["generatedTiles"]) {
+      this.generatedTiles[key] = pick("generatedTiles", key);
+    }
+    this.specialTiles = {}; // Colors of walls, wildcards and bombs, keyed by tile kind
+    for (let key in classic["specialTiles"]) {
+      this.specialTiles[key] = pick("specialTiles", key);
+    }
+    this.fonts = {};
+    for (let key in classic["fonts"]) {
+      this.fonts[key] = pick("fonts", key);
+    }
+    this.overlay = {};
+    for (let key in classic["overlay"]) {
+      this.overlay[key] = pick("overlay", key);
+    }
+  }
+
+  /**
+   * Returns built-in theme with a given id, the classic one if there is no such theme
+   * @method
+   * @param {?string} id - Theme id, e.g. "dark"
+   * @returns {Theme}
+   */
+  static byId(id) {
+    return new Theme(id !== null && Themes.hasOwnProperty(id) ? Themes[id] : Themes["classic"]);
+  }
+
+  /**
+   * Returns background color of a tile with a given level;
+   * Levels beyond the theme's list get generated colors with hue turning for every level
+   * @method
+   * @param {number} tileLevel - Level of tile
+   * @returns {string}
+   */
+  getTileColor(tileLevel) {
+    if (tileLevel <= this.tiles.length) {
+      return this.tiles[Math.max(tileLevel, 1) - 1]["background"];
+    }
+    const generated = this.generatedTiles;
+    const step = tileLevel - this.tiles.length - 1;
+    const hue = (generated["hue"] + step * 47) % 360;
+    const lightness = generated["lightness"] + (step % 2 ? 8 : 0);
+    return Theme.hslToHex(hue, generated["saturation"], lightness);
+  }
+
+  /**
+   * Returns text color of a tile with a given level
+   * @method
+   * @param {number} tileLevel - Level of tile
+   * @returns {string}
+   */
+  getTileTextColor(tileLevel) {
+    if (tileLevel <= this.tiles.length) {
+      return this.tiles[Math.max(tileLevel, 1) - 1]["text"];
+    }
+    return this.generatedTiles["text"];
+  }
+
+  /**
+   * Returns CSS custom properties setting page colors
+   * @method
+   * @returns {!Object<string, string>}
+   */
+  get cssVariables() {
+    return {
+      "--page-background": this.page["background"],
+      "--page-text": this.page["text"],
+      "--panel-background": this.page["panel"],
+      "--panel-text": this.page["panelText"],
+      "--button-background": this.page["button"],
+      "--button-text": this.page["buttonText"],
+    };
+  }
+
+  /**
+   * Returns red, green and blue components of a "#RRGGBB" color
+   * @method
+   * @param {string} hex - Color
+   * @returns {!Array<number>}
+   */
+  static parseHex(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  }
+
+  /**
+   * Returns "#RRGGBB" representation of a color given by hue, saturation and lightness
+   * @method
+   * @param {number} hue - Hue in degrees
+   * @param {number} saturation - Saturation in percents
+   * @param {number} lightness - Lightness in percents
+   * @returns {string}
+   */
+  static hslToHex(hue, saturation, lightness) {
+    const s = saturation / 100;
+    const l = lightness / 100;
+    const chroma = s * Math.min(l, 1 - l);
+    const channel = (n) => {
+      const k = (n + hue / 30) % 12;
+      const value = l - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+      return ("0" + Math.round(value * 255).toString(16)).slice(-2);
+    };
+    return ("#" + channel(0) + channel(8) + channel(4)).toUpperCase();
+  }
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    Themes: Themes,
+    Theme: Theme,
+  };
+}
@@ -0,0 +1,57 @@
+"use strict";
+
+// Replaced by the gulp "sw" task with a hash of the built files, so every build that changes them gets its own cache
+const buildVersion = "@BUILD_VERSION@";
+const cachePrefix = "2048-";
+const cacheName = cachePrefix + buildVersion;
+// Served from the source tree the version is not replaced, the worker then leaves requests to the network
+const isBuilt = (buildVersion.charAt(0) != "@");
+
+// Files of the built app in dist/, relative to this worker
+const precachedUrls = [
+  "index.html",
+  "versus.html",
+  "scripts/main.js",
+  "styles/main.css",
+  "manifest.webmanifest",
+  "images/icon.svg",
+];
+
+self.addEventListener("install", (event) => {
+  if (!isBuilt) {
+    return;
+  }
+  // Bypass HTTP cache so a new build never stores files of the previous one
+  event.waitUntil(caches.open(cacheName).then((cache) =>
+    cache.addAll(precachedUrls.map((url) => new Request(url, { "cache": "reload" })))));
+  // The new worker waits until the page accepts the update, see UpdateBanner
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(caches.keys()
+    .then((names) => Promise.all(names
+      .filter((name) => (name.indexOf(cachePrefix) == 0 && name != cacheName))
+      .map((name) => caches.delete(name))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data && event.data["type"] == "skipWaiting") {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const request = event.request;
+  if (!isBuilt || request.method != "GET" || new URL(request.url).origin != self.location.origin) {
+    return; // Leaderboard servers and other origins are always reached over the network
+  }
+  if (request.mode == "navigate") {
+    // Pages differ only by settings in the query string, e.g. index.html?rows=5
+    event.respondWith(caches.match(request, { "ignoreSearch": true })
+      .then((response) => response || fetch(request))
+      .catch(() => caches.match("index.html")));
+    return;
+  }
+  event.respondWith(caches.match(request).then((response) => response || fetch(request)));
+});
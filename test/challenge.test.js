@@ -0,0 +1,124 @@
+'use strict';
+
+const assert = require('assert');
+const engine = require('../src/scripts/engine.js');
+
+const { Direction, GameStatus, TileStatus, Random, GameState, GameResult, Challenge, ChallengeRun, Leaderboard } = engine;
+
+/**
+ * Returns leaderboard entry with given result, score and moves
+ * @param {GameResult} result - Result
+ * @param {number} score - Score
+ * @param {number} moves - Number of moves
+ * @returns {!Object}
+ */
+function makeEntry(result, score, moves) {
+  return {
+    'date': '2024-01-01T00:00:00.000Z',
+    'seed': 1,
+    'result': result,
+    'score': score,
+    'maxTileLevel': 8,
+    'moves': moves,
+    'duration': 60000,
+  };
+}
+
+describe('Challenge', function() {
+  it('derives the same daily seed for the whole UTC day', function() {
+    const seed = Challenge.dailySeed(new Date('2024-03-01T00:00:00Z'));
+    assert.strictEqual(Challenge.dailySeed(new Date('2024-03-01T23:59:59Z')), seed);
+    assert.notStrictEqual(Challenge.dailySeed(new Date('2024-03-02T00:00:00Z')), seed);
+    assert.ok(Number.isInteger(seed) && seed >= 0 && seed <= 0xFFFFFFFF);
+    assert.strictEqual(Challenge.byId('daily').fixedSeed(new Date('2024-03-01T12:00:00Z')), seed);
+    assert.strictEqual(Challenge.byId('timeAttack').fixedSeed(), null);
+  });
+
+  it('falls back to free play for unknown ids', function() {
+    assert.strictEqual(Challenge.byId('missing').isRanked, false);
+    assert.strictEqual(Challenge.byId('moveBudget').isRanked, true);
+  });
+});
+
+describe('ChallengeRun', function() {
+  it('ends time attack when time is up, counting only played time', function() {
+    let state = new GameState(4, 4, 11, new Random(1));
+    let run = new ChallengeRun(new Challenge({ 'mode': 'timeAttack', 'timeLimit': 1000 }), state);
+    assert.strictEqual(run.tick(state, 200), false);
+    assert.strictEqual(run.elapsed, 0);
+    state.move(Direction.Left);
+    run.recordMove(state);
+    for (let id = 0; id < 4; id++) {
+      assert.strictEqual(run.tick(state, 200), false);
+    }
+    assert.strictEqual(run.tick(state, 60000), true);
+    assert.strictEqual(run.elapsed, 1000);
+    assert.strictEqual(state.status, GameStatus.TimeUp);
+    assert.ok(state.isFinished);
+  });
+
+  it('ends move budget when moves run out before the target tile', function() {
+    let state = new GameState(4, 4, 11, new Random(2));
+    let run = new ChallengeRun(new Challenge({ 'mode': 'moveBudget', 'moveLimit': 2 }), state);
+    state.move(Direction.Left);
+    assert.strictEqual(run.recordMove(state), false);
+    assert.strictEqual(run.movesLeft, 1);
+    state.move(Direction.Right);
+    assert.strictEqual(run.recordMove(state), true);
+    assert.strictEqual(state.status, GameStatus.OutOfMoves);
+    assert.ok(run.isOver(state));
+    assert.strictEqual(run.finish(state, 'Player')['result'], GameResult.Lost);
+  });
+
+  it('ranks move budget once the target tile is reached', function() {
+    let state = new GameState(2, 2, 3, new Random(1));
+    let run = new ChallengeRun(new Challenge({ 'mode': 'moveBudget', 'moveLimit': 100 }), state);
+    assert.strictEqual(run.isOver(state), false);
+    state.tiles[0].level = 3;
+    state.tiles[0].status = TileStatus.Still;
+    state.updateStatus();
+    assert.ok(run.isOver(state));
+    assert.strictEqual(run.finish(state, 'Player')['result'], GameResult.Won);
+  });
+
+  it('restores progress only for the same game', function() {
+    const challenge = Challenge.byId('timeAttack');
+    let state = new GameState(4, 4, 11, new Random(5));
+    let run = new ChallengeRun(challenge, state);
+    state.move(Direction.Up);
+    run.recordMove(state);
+    run.tick(state, 100);
+    const data = JSON.parse(JSON.stringify(run.serialize()));
+    const restored = ChallengeRun.deserialize(data, challenge, state);
+    assert.deepStrictEqual([restored.moves, restored.elapsed, restored.recorded], [1, 100, false]);
+    assert.strictEqual(ChallengeRun.deserialize(data, challenge, new GameState(4, 4, 11, new Random(6))), null);
+  });
+});
+
+describe('Leaderboard', function() {
+  it('ranks entries by score', function() {
+    let leaderboard = new Leaderboard(Challenge.byId('timeAttack'), [], 3);
+    assert.strictEqual(leaderboard.add(makeEntry(GameResult.Lost, 100, 50)), 0);
+    assert.strictEqual(leaderboard.add(makeEntry(GameResult.Lost, 300, 90)), 0);
+    assert.strictEqual(leaderboard.add(makeEntry(GameResult.Lost, 200, 70)), 1);
+    assert.strictEqual(leaderboard.add(makeEntry(GameResult.Lost, 50, 10)), -1);
+    assert.deepStrictEqual(leaderboard.entries.map((entry) => entry['score']), [300, 200, 100]);
+  });
+
+  it('ranks wins of move budget by fewest moves', function() {
+    let leaderboard = new Leaderboard(Challenge.byId('moveBudget'), [
+      makeEntry(GameResult.Lost, 900, 1200),
+      makeEntry(GameResult.Won, 500, 800),
+      makeEntry(GameResult.Won, 600, 700),
+    ]);
+    assert.deepStrictEqual(leaderboard.entries.map((entry) => entry['moves']), [700, 800, 1200]);
+  });
+
+  it('restores serialized entries and drops malformed ones', function() {
+    const challenge = Challenge.byId('daily');
+    let leaderboard = new Leaderboard(challenge, [makeEntry(GameResult.Lost, 100, 50)]);
+    const restored = Leaderboard.deserialize(JSON.parse(JSON.stringify(leaderboard.serialize())), challenge);
+    assert.deepStrictEqual(restored.entries, leaderboard.entries);
+    assert.strictEqual(Leaderboard.deserialize({ 'version': 1, 'entries': [null, {}] }, challenge).entries.length, 0);
+  });
+});
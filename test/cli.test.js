@@ -0,0 +1,98 @@
+'use strict';
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const path = require('path');
+const engine = require('../src/scripts/engine.js');
+const cli = require('../bin/2048.js');
+
+const { Direction, GameStatus, StatusText, Random, GameState } = engine;
+
+const cliPath = path.join(__dirname, '..', 'bin', '2048.js');
+
+describe('CLI', function() {
+  describe('parseArgs()', function() {
+    it('reads board configuration and seed', function() {
+      const options = cli.parseArgs(['--rows', '3', '--columns', '5', '--target', '1024', '--seed', '42', '--batch']);
+      assert.deepStrictEqual(
+        [options.rows, options.columns, options.targetTileLevel, options.seed, options.batch],
+        [3, 5, 10, 42, true]);
+    });
+
+    it('reads target as a tile value of the variant', function() {
+      const options = cli.parseArgs(['--target', '144', '--variant', 'fibonacci']);
+      assert.strictEqual(options.rules.merge, 'fibonacci');
+      assert.strictEqual(options.targetTileLevel, 11);
+      assert.throws(() => cli.parseArgs(['--variant', 'fibonacci', '--target', '2048']));
+      assert.throws(() => cli.parseArgs(['--variant', 'chess']));
+    });
+
+    it('rejects invalid arguments', function() {
+      assert.throws(() => cli.parseArgs(['--rows', 'many']));
+      assert.throws(() => cli.parseArgs(['--target', '1000']));
+      assert.throws(() => cli.parseArgs(['--seed', '-1']));
+      assert.throws(() => cli.parseArgs(['--size', '4']));
+    });
+  });
+
+  describe('parseMoves()', function() {
+    it('accepts full and short direction names', function() {
+      assert.deepStrictEqual(cli.parseMoves('up, L\nright d'),
+        [Direction.Up, Direction.Left, Direction.Right, Direction.Down]);
+      assert.throws(() => cli.parseMoves('up sideways'));
+    });
+  });
+
+  describe('keyDirection()', function() {
+    it('maps arrow key escape sequences and WASD to directions', function() {
+      assert.deepStrictEqual(['\x1b[A', '\x1b[B', '\x1b[C', '\x1b[D'].map(cli.keyDirection),
+        [Direction.Up, Direction.Down, Direction.Right, Direction.Left]);
+      assert.deepStrictEqual(['w', 'S', 'd', 'A'].map(cli.keyDirection),
+        [Direction.Up, Direction.Down, Direction.Right, Direction.Left]);
+    });
+
+    it('ignores other keys', function() {
+      assert.deepStrictEqual(['\x1b[a', 'q', 'n', '\x1b'].map(cli.keyDirection), [null, null, null, null]);
+    });
+  });
+
+  describe('renderBoard()', function() {
+    it('shows score and status text', function() {
+      let state = new GameState(2, 2, 11, new Random(1));
+      state.score = 1234;
+      state.status = GameStatus.Lost;
+      const text = cli.renderBoard(state);
+      assert.ok(text.indexOf('Score: 1234') != -1);
+      assert.ok(text.indexOf(StatusText[GameStatus.Lost]) != -1);
+    });
+  });
+
+  describe('--batch', function() {
+    it('prints the state reached by the moves as JSON', function() {
+      const moves = ['left', 'up', 'right', 'down', 'left', 'up'];
+      const result = childProcess.spawnSync(process.execPath, [cliPath, '--batch', '--seed', '7', '--rows', '3'],
+        { input: moves.join(' '), encoding: 'utf8' });
+      assert.strictEqual(result.status, 0, result.stderr);
+
+      let state = new GameState(3, 4, 11, new Random(7));
+      moves.forEach((direction) => state.move(direction));
+      assert.ok(GameState.deserialize(JSON.parse(result.stdout)).equals(state));
+    });
+
+    it('keeps playing after the target tile is reached', function() {
+      const moves = 'l u r d l u r d l u';
+      const result = childProcess.spawnSync(process.execPath, [cliPath, '--batch', '--seed', '7', '--target', '8'],
+        { input: moves, encoding: 'utf8' });
+      const state = GameState.deserialize(JSON.parse(result.stdout));
+      assert.strictEqual(state.status, GameStatus.Continued);
+      assert.strictEqual(state.moveLog.length, 10);
+    });
+
+    it('fails on unknown moves', function() {
+      const result = childProcess.spawnSync(process.execPath, [cliPath, '--batch'],
+        { input: 'up jump', encoding: 'utf8' });
+      assert.strictEqual(result.status, 1);
+      assert.ok(result.stderr.indexOf('jump') != -1);
+    });
+  });
+});
@@ -0,0 +1,455 @@
+'use strict';
+
+const assert = require('assert');
+const engine = require('../src/scripts/engine.js');
+const { makeState, levelsOf, playGame, playMoves } = require('./helpers/fixtures.js');
+
+const { Direction, GameStatus, TileStatus, TileKind, GameEvent, MathUtils, Random, GameState, Replay, Base64Url, Solver, Rules } = engine;
+
+describe('GameState', function() {
+  describe('#gravitate()', function() {
+    it('slides tiles to the given side', function() {
+      const levels = [
+        0, 1, 0, 2,
+        3, 0, 0, 0,
+        0, 0, 0, 0,
+        0, 0, 4, 0,
+      ];
+      let state = makeState(4, 4, levels);
+      state.gravitate(Direction.Left);
+      assert.deepStrictEqual(levelsOf(state), [
+        1, 2, 0, 0,
+        3, 0, 0, 0,
+        0, 0, 0, 0,
+        4, 0, 0, 0,
+      ]);
+
+      state = makeState(4, 4, levels);
+      state.gravitate(Direction.Down);
+      assert.deepStrictEqual(levelsOf(state), [
+        0, 0, 0, 0,
+        0, 0, 0, 0,
+        0, 0, 0, 0,
+        3, 1, 4, 2,
+      ]);
+    });
+
+    it('does not move tiles across rows', function() {
+      let state = makeState(2, 3, [0, 0, 1, 2, 0, 0]);
+      state.gravitate(Direction.Right);
+      assert.deepStrictEqual(levelsOf(state), [0, 0, 1, 0, 0, 2]);
+    });
+
+    it('merges equal tiles and adds merged value to score', function() {
+      let state = makeState(1, 4, [3, 0, 3, 1]);
+      state.gravitate(Direction.Left);
+      assert.deepStrictEqual(levelsOf(state), [4, 1, 0, 0]);
+      assert.strictEqual(state.score, 16);
+      assert.strictEqual(state.tiles[0].status, TileStatus.Merged);
+      assert.deepStrictEqual(state.tiles[0].prevIndex, [0, 2]);
+    });
+
+    it('merges each tile at most once per move', function() {
+      let state = makeState(1, 4, [1, 1, 1, 1]);
+      state.gravitate(Direction.Right);
+      assert.deepStrictEqual(levelsOf(state), [0, 0, 2, 2]);
+
+      state = makeState(1, 4, [1, 1, 2, 0]);
+      state.gravitate(Direction.Left);
+      assert.deepStrictEqual(levelsOf(state), [2, 2, 0, 0]);
+      assert.strictEqual(state.score, 4);
+    });
+
+    it('merges tiles closest to the side first', function() {
+      let state = makeState(1, 3, [1, 1, 1]);
+      state.gravitate(Direction.Right);
+      assert.deepStrictEqual(levelsOf(state), [0, 1, 2]);
+
+      state = makeState(1, 3, [1, 1, 1]);
+      state.gravitate(Direction.Left);
+      assert.deepStrictEqual(levelsOf(state), [2, 1, 0]);
+    });
+  });
+
+  describe('#move()', function() {
+    it('spawns a tile only if board has changed', function() {
+      let state = makeState(2, 2, [1, 0, 2, 0]);
+      assert.strictEqual(state.move(Direction.Left), false);
+      assert.deepStrictEqual(levelsOf(state), [1, 0, 2, 0]);
+      assert.deepStrictEqual(state.moveLog, []);
+
+      assert.strictEqual(state.move(Direction.Right), true);
+      assert.strictEqual(levelsOf(state).filter((level) => level).length, 3);
+      assert.deepStrictEqual(state.moveLog, [Direction.Right]);
+    });
+
+    it('gives the same tiles and score for the same seed and moves', function() {
+      const play = (seed) => playGame(seed, new Rules(), 100);
+      assert.ok(play(42).equals(play(42)));
+      assert.ok(!play(42).equals(play(43)));
+    });
+  });
+
+  describe('#clone()', function() {
+    it('continues with the same spawns as the original', function() {
+      let state = new GameState(4, 4, 11, new Random(8));
+      state.move(Direction.Left);
+      let clonedState = state.clone();
+      assert.strictEqual(clonedState.random.state, state.random.state);
+      state.move(Direction.Down);
+      clonedState.move(Direction.Down);
+      assert.ok(clonedState.equals(state));
+    });
+  });
+
+  describe('#isGameOver', function() {
+    it('is false while there are empty tiles', function() {
+      assert.strictEqual(makeState(2, 2, [1, 2, 3, 0]).isGameOver, false);
+    });
+
+    it('is false when full board has tiles to merge', function() {
+      assert.strictEqual(makeState(2, 2, [1, 2, 3, 2]).isGameOver, false);
+    });
+
+    it('is true when full board has no tiles to merge', function() {
+      assert.strictEqual(makeState(2, 2, [1, 2, 2, 1]).isGameOver, true);
+    });
+  });
+
+  describe('#hasAchievedGoal', function() {
+    it('checks for a tile of target level or higher', function() {
+      assert.strictEqual(makeState(2, 2, [1, 2, 3, 0], 4).hasAchievedGoal, false);
+      assert.strictEqual(makeState(2, 2, [1, 4, 3, 0], 4).hasAchievedGoal, true);
+      assert.strictEqual(makeState(2, 2, [1, 5, 3, 0], 4).hasAchievedGoal, true);
+    });
+  });
+
+  describe('#updateStatus()', function() {
+    it('changes in progress game to won when goal is achieved', function() {
+      let state = makeState(2, 2, [4, 0, 0, 0], 4);
+      state.updateStatus();
+      assert.strictEqual(state.status, GameStatus.Won);
+    });
+
+    it('keeps game won until player chooses to keep playing', function() {
+      let state = makeState(2, 2, [4, 0, 0, 0], 4);
+      state.status = GameStatus.Won;
+      state.updateStatus();
+      assert.strictEqual(state.status, GameStatus.Won);
+      state.keepPlaying();
+      assert.strictEqual(state.status, GameStatus.Continued);
+      state.updateStatus();
+      assert.strictEqual(state.status, GameStatus.Continued);
+    });
+
+    it('changes game to lost when there are no moves', function() {
+      let state = makeState(2, 2, [1, 2, 2, 1]);
+      state.updateStatus();
+      assert.strictEqual(state.status, GameStatus.Lost);
+
+      state = makeState(2, 2, [4, 2, 2, 1], 4);
+      state.status = GameStatus.Continued;
+      state.updateStatus();
+      assert.strictEqual(state.status, GameStatus.Lost);
+    });
+
+    it('keeps game in progress otherwise', function() {
+      let state = makeState(2, 2, [1, 2, 0, 0]);
+      state.updateStatus();
+      assert.strictEqual(state.status, GameStatus.InProgress);
+    });
+  });
+
+  describe('.deserialize()', function() {
+    it('restores serialized state', function() {
+      let state = new GameState(3, 5, 10, new Random(7));
+      state.move(Direction.Left);
+      state.move(Direction.Up);
+      const restored = GameState.deserialize(JSON.parse(JSON.stringify(state.serialize())));
+      assert.ok(restored.equals(state));
+      assert.strictEqual(restored.status, state.status);
+      assert.deepStrictEqual(restored.moveLog, state.moveLog);
+      assert.ok(restored.move(Direction.Down) == state.move(Direction.Down) && restored.equals(state));
+    });
+
+    it('migrates saves of version 1', function() {
+      let data = new GameState(4, 4, 11, new Random(7)).serialize();
+      data["version"] = 1;
+      delete data["moves"];
+      delete data["rules"];
+      delete data["ages"];
+      const restored = GameState.deserialize(data);
+      assert.ok(restored);
+      assert.strictEqual(restored.moveLog, null);
+      assert.ok(restored.rules.equals(new Rules()));
+    });
+
+    it('restores rules and tile ages of variants', function() {
+      let state = new GameState(4, 4, 11, new Random(7), Rules.byId('decay'));
+      state.move(Direction.Left);
+      state.move(Direction.Right);
+      const restored = GameState.deserialize(JSON.parse(JSON.stringify(state.serialize())));
+      assert.ok(restored.rules.equals(state.rules));
+      assert.deepStrictEqual(restored.tiles.map((tile) => tile.age), state.tiles.map((tile) => tile.age));
+    });
+
+    it('discards malformed and unknown saves', function() {
+      let data = new GameState(4, 4, 11, new Random(7)).serialize();
+      assert.strictEqual(GameState.deserialize(null), null);
+      assert.strictEqual(GameState.deserialize(Object.assign({}, data, { "version": 99 })), null);
+      assert.strictEqual(GameState.deserialize(Object.assign({}, data, { "tiles": [1, 2] })), null);
+      assert.strictEqual(GameState.deserialize(Object.assign({}, data, { "status": "paused" })), null);
+    });
+  });
+});
+
+describe('Rules', function() {
+  it('draws classic spawns the same way as before variants', function() {
+    let random = new Random(99);
+    let expected = random.clone();
+    const rules = new Rules();
+    for (let id = 0; id < 1000; id++) {
+      assert.strictEqual(rules.spawnLevel(random), 1 + Math.floor(MathUtils.randomInRange(10, expected) / 9));
+    }
+  });
+
+  it('draws spawn levels by their weights', function() {
+    const rules = new Rules({ 'spawnLevels': [1, 3], 'spawnWeights': [0, 1] });
+    let random = new Random(5);
+    for (let id = 0; id < 100; id++) {
+      assert.strictEqual(rules.spawnLevel(random), 3);
+    }
+  });
+
+  it('merges adjacent Fibonacci numbers', function() {
+    const rules = Rules.byId('fibonacci');
+    assert.deepStrictEqual([1, 2, 3, 4, 5, 6].map((level) => rules.tileValue(level)), [1, 2, 3, 5, 8, 13]);
+    let state = makeState(1, 4, [1, 1, 3, 4], 11, rules);
+    state.gravitate(Direction.Left);
+    assert.deepStrictEqual(levelsOf(state), [2, 5, 0, 0]);
+    assert.strictEqual(state.score, 2 + 8);
+
+    state = makeState(1, 3, [2, 4, 0], 11, rules);
+    state.gravitate(Direction.Left);
+    assert.deepStrictEqual(levelsOf(state), [2, 4, 0]);
+  });
+
+  it('merges three equal tiles into a power of 3', function() {
+    const rules = Rules.byId('threes');
+    let state = makeState(1, 4, [1, 1, 1, 1], 11, rules);
+    state.gravitate(Direction.Left);
+    assert.deepStrictEqual(levelsOf(state), [2, 1, 0, 0]);
+    assert.strictEqual(state.score, 9);
+    assert.deepStrictEqual(state.tiles[0].prevIndex, [0, 1, 2]);
+
+    state = makeState(1, 4, [1, 1, 0, 2], 11, rules);
+    state.gravitate(Direction.Right);
+    assert.deepStrictEqual(levelsOf(state), [0, 1, 1, 2]);
+  });
+
+  it('spawns a given number of tiles per move', function() {
+    let state = makeState(2, 3, [1, 0, 0, 0, 0, 0], 11, Rules.byId('doubleSpawn'));
+    state.move(Direction.Right);
+    assert.strictEqual(levelsOf(state).filter((level) => level).length, 3);
+  });
+
+  it('decays tiles left unmerged for too long', function() {
+    let state = makeState(1, 4, [3, 0, 0, 0], 11, new Rules({ 'decay': 2 }));
+    state.move(Direction.Right);
+    assert.strictEqual(state.tiles[3].level, 3);
+    assert.strictEqual(state.tiles[3].age, 1);
+    state.move(Direction.Left);
+    const decayed = state.tiles.filter((tile) => tile.prevLevel && tile.prevLevel[0] == 3)[0];
+    assert.strictEqual(decayed.level, 2);
+    assert.strictEqual(decayed.status, TileStatus.Decayed);
+    assert.strictEqual(decayed.age, 0);
+  });
+
+  it('rejects invalid rules', function() {
+    assert.strictEqual(Rules.deserialize({ 'merge': 'sums' }), null);
+    assert.strictEqual(Rules.deserialize({ 'spawnLevels': [1], 'spawnWeights': [0] }), null);
+    assert.strictEqual(Rules.deserialize({ 'spawnLevels': [1, 2], 'spawnWeights': [1] }), null);
+  });
+});
+
+describe('Special tiles', function() {
+  /**
+   * Returns game state of one row with given tile levels and a special tile
+   * @param {!Array<number>} levels - Tile levels, 0 stands for empty tile
+   * @param {number} index - Index of special tile
+   * @param {TileKind} kind - Kind of special tile
+   * @param {?number} level - Level of special tile
+   * @returns {GameState}
+   */
+  function makeRow(levels, index, kind, level) {
+    let state = makeState(1, levels.length, levels);
+    state.tiles[index].place(kind, level);
+    state.tiles[index].status = TileStatus.Still;
+    return state;
+  }
+
+  it('stops tiles at walls, which never move', function() {
+    let state = makeRow([0, 1, 0, 1, 0], 2, TileKind.Wall, null);
+    state.gravitate(Direction.Left);
+    assert.deepStrictEqual(levelsOf(state), [1, 0, null, 1, 0]);
+    assert.strictEqual(state.tiles[2].kind, TileKind.Wall);
+    state.gravitate(Direction.Right);
+    assert.deepStrictEqual(levelsOf(state), [0, 1, null, 0, 1]);
+  });
+
+  it('merges wildcards with tiles of any level', function() {
+    let state = makeRow([0, 5, 0, 0], 0, TileKind.Wildcard, null);
+    state.gravitate(Direction.Left);
+    assert.deepStrictEqual(levelsOf(state), [6, 0, 0, 0]);
+    assert.strictEqual(state.tiles[0].kind, TileKind.Number);
+    assert.deepStrictEqual(state.tiles[0].prevKind, [TileKind.Wildcard, TileKind.Number]);
+    assert.strictEqual(state.score, 64);
+
+    state = makeRow([0, 0, 0], 0, TileKind.Wildcard, null);
+    state.tiles[1].place(TileKind.Wildcard, null);
+    state.tiles[1].status = TileStatus.Still;
+    state.gravitate(Direction.Left);
+    assert.deepStrictEqual(state.tiles.map((tile) => tile.kind), [TileKind.Wildcard, TileKind.Wildcard, TileKind.Number]);
+  });
+
+  it('clears neighbours of merged bombs except walls', function() {
+    let state = makeState(3, 3, [0, 2, 0, 0, 1, 3, 0, 4, 0]);
+    state.tiles[3].place(TileKind.Bomb, 1);
+    state.tiles[3].status = TileStatus.Still;
+    state.tiles[2].place(TileKind.Wall, null);
+    state.tiles[2].status = TileStatus.Still;
+    state.gravitate(Direction.Left);
+    assert.deepStrictEqual(levelsOf(state), [0, 0, null, 2, 0, 0, 0, 0, 0]);
+    assert.strictEqual(state.tiles[3].kind, TileKind.Number);
+  });
+
+  it('places tiles of a variant layout at game start', function() {
+    const state = new GameState(4, 4, 11, new Random(1), Rules.byId('minefield'));
+    const kinds = state.tiles.map((tile) => tile.kind);
+    assert.deepStrictEqual([kinds[3], kinds[12], kinds[6], kinds[9]], [TileKind.Bomb, TileKind.Bomb, TileKind.Wall, TileKind.Wall]);
+    assert.strictEqual(state.tiles[3].level, 1);
+    assert.strictEqual(state.tiles.filter((tile) => !tile.isEmpty).length, 6);
+  });
+
+  it('saves and replays games with special tiles', function() {
+    let state = new GameState(4, 4, 11, new Random(4), Rules.byId('minefield'));
+    for (let id = 0; id < 30; id++) {
+      state.move([Direction.Left, Direction.Up, Direction.Right, Direction.Down][id % 4]);
+    }
+    const restored = GameState.deserialize(JSON.parse(JSON.stringify(state.serialize())));
+    assert.ok(restored.equals(state));
+
+    const replay = Replay.decode(Replay.fromState(state).encode());
+    assert.ok(replay.rules.equals(state.rules));
+    let replayed = replay.initialState();
+    replay.moves.forEach((direction) => replayed.move(direction));
+    assert.ok(replayed.equals(state));
+  });
+
+  it('rejects layouts with invalid tiles', function() {
+    assert.strictEqual(Rules.deserialize({ 'layout': [{ 'kind': 'lava', 'row': 0, 'column': 0 }] }), null);
+    assert.strictEqual(Rules.deserialize({ 'layout': [{ 'kind': TileKind.Bomb, 'row': 0, 'column': 0 }] }), null);
+    assert.strictEqual(Rules.deserialize({ 'layout': [{ 'kind': TileKind.Wall, 'row': 0.5, 'column': 0 }] }), null);
+  });
+});
+
+describe('Game events', function() {
+  /**
+   * Returns events emitted by a game state as [type, payload] pairs
+   * @param {GameState} state - Game state
+   * @returns {!Array<!Array>}
+   */
+  function recordEvents(state) {
+    let events = [];
+    GameState.eventTypes.forEach((type) => {
+      state.events.on(type, (payload) => { events.push([type, payload]); });
+    });
+    return events;
+  }
+
+  it('emits merges and spawns before the move, then score and status changes', function() {
+    let state = makeState(2, 2, [1, 1, 2, 0], 2);
+    const events = recordEvents(state);
+    state.move(Direction.Left);
+    assert.deepStrictEqual(events.map((event) => event[0]),
+      [GameEvent.Merge, GameEvent.Spawn, GameEvent.Move, GameEvent.ScoreChange, GameEvent.StatusChange]);
+    assert.deepStrictEqual(events[0][1], { 'index': 0, 'level': 2, 'from': [0, 1] });
+    assert.strictEqual(state.tiles[events[1][1]['index']].level, events[1][1]['level']);
+    assert.deepStrictEqual(events[2][1], { 'direction': Direction.Left });
+    assert.deepStrictEqual(events[3][1], { 'score': 4, 'delta': 4 });
+    assert.deepStrictEqual(events[4][1], { 'status': GameStatus.Won, 'prevStatus': GameStatus.InProgress });
+    state.keepPlaying();
+    assert.strictEqual(events[5][1]['status'], GameStatus.Continued);
+  });
+
+  it('emits nothing for moves that do not change the board and to clones', function() {
+    let state = makeState(2, 2, [1, 2, 0, 0]);
+    const events = recordEvents(state);
+    state.move(Direction.Up);
+    state.clone().move(Direction.Down);
+    assert.strictEqual(events.length, 0);
+  });
+
+  it('removes listeners and rejects unknown event types', function() {
+    let state = makeState(2, 2, [1, 1, 0, 0]);
+    let count = 0;
+    const listener = () => { count++; };
+    state.events.on(GameEvent.Move, listener);
+    state.events.off(GameEvent.Move, listener);
+    state.move(Direction.Left);
+    assert.strictEqual(count, 0);
+    assert.throws(() => state.events.on('frame', listener), /Unknown event type/);
+  });
+});
+
+describe('Replay', function() {
+  it('encodes and decodes games', function() {
+    const state = playMoves(new GameState(3, 5, 10, new Random(123456789)), 50);
+    const replay = Replay.decode(Replay.fromState(state).encode());
+    assert.deepStrictEqual([replay.rows, replay.columns, replay.targetTileLevel, replay.seed],
+      [3, 5, 10, 123456789]);
+    assert.deepStrictEqual(replay.moves, state.moveLog);
+
+    let replayed = replay.initialState();
+    replay.moves.forEach((direction) => replayed.move(direction));
+    assert.ok(replayed.equals(state));
+  });
+
+  it('keeps rules of variants', function() {
+    let state = new GameState(4, 4, 11, new Random(3), new Rules({ 'merge': 'triples', 'spawnLevels': [1, 2, 3], 'spawnWeights': [5, 3, 1], 'spawnCount': 2 }));
+    for (let id = 0; id < 20; id++) {
+      state.move(id % 2 ? Direction.Left : Direction.Down);
+    }
+    const replay = Replay.decode(Replay.fromState(state).encode());
+    assert.ok(replay.rules.equals(state.rules));
+    let replayed = replay.initialState();
+    replay.moves.forEach((direction) => replayed.move(direction));
+    assert.ok(replayed.equals(state));
+  });
+
+  it('decodes codes of version 1 as classic games', function() {
+    let bytes = new Uint8Array(13);
+    bytes.set([1, 4, 4, 11, 0, 0, 0, 42, 0, 0, 0, 2, 0x60]);
+    const replay = Replay.decode(Base64Url.encode(bytes));
+    assert.deepStrictEqual(replay.moves, [Direction.Up, Direction.Left]);
+    assert.strictEqual(replay.seed, 42);
+    assert.ok(replay.rules.equals(new Rules()));
+  });
+
+  it('rejects malformed codes', function() {
+    assert.strictEqual(Replay.decode(''), null);
+    assert.strictEqual(Replay.decode('not a replay'), null);
+    assert.strictEqual(Replay.decode(Replay.fromState(new GameState(4, 4, 11)).encode() + 'AA'), null);
+  });
+});
+
+describe('Solver', function() {
+  it('finds a move while there is one', function() {
+    assert.strictEqual(new Solver(2).bestMove(makeState(2, 2, [1, 2, 2, 1])), null);
+    assert.ok(new Solver(2).bestMove(makeState(2, 2, [1, 1, 2, 3])));
+  });
+
+  it('returns the only move that changes the board', function() {
+    assert.strictEqual(new Solver(2).bestMove(makeState(2, 2, [1, 2, 0, 0])), Direction.Down);
+  });
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const engine = require('../../src/scripts/engine.js');
+
+const { Direction, TileStatus, Random, GameState, Rules } = engine;
+
+// Directions played in turn by scripted games, they keep most games going for a while
+const playedDirections = [Direction.Left, Direction.Down, Direction.Right, Direction.Down];
+
+/**
+ * Sets tile levels of a game state row by row, 0 stands for empty tile
+ * @param {GameState} state - Game state
+ * @param {!Array<number>} levels - Tile levels
+ */
+function setLevels(state, levels) {
+  state.tiles.forEach((tile, index) => {
+    tile.reset();
+    if (levels[index]) {
+      tile.level = levels[index];
+      tile.status = TileStatus.Still;
+    }
+  });
+}
+
+/**
+ * Returns game state with given tile levels, 0 stands for empty tile
+ * @param {number} rows - Number of rows
+ * @param {number} columns - Number of columns
+ * @param {!Array<number>} levels - Tile levels row by row
+ * @param {number=} targetTileLevel - Tile level to win the game
+ * @param {Rules=} rules - Rules of the game variant
+ * @returns {GameState}
+ */
+function makeState(rows, columns, levels, targetTileLevel = 11, rules = new Rules()) {
+  let state = new GameState(rows, columns, targetTileLevel, new Random(1), rules);
+  setLevels(state, levels);
+  return state;
+}
+
+/**
+ * Returns tile levels of a game state row by row, 0 stands for empty tile
+ * @param {GameState} state - Game state
+ * @returns {!Array<number>}
+ */
+function levelsOf(state) {
+  return state.tiles.map((tile) => (tile.isEmpty ? 0 : tile.level));
+}
+
+/**
+ * Returns number of non-empty tiles of a game state
+ * @param {GameState} state - Game state
+ * @returns {number}
+ */
+function countTiles(state) {
+  return state.tiles.filter((tile) => !tile.isEmpty).length;
+}
+
+/**
+ * Tries a number of scripted moves on a game state
+ * @param {GameState} state - Game state
+ * @param {number} moveCount - Number of moves to try
+ * @param {function(GameState)=} onMove - Called after every move that changed the board
+ * @returns {GameState} Given state
+ */
+function playMoves(state, moveCount, onMove = () => {}) {
+  for (let id = 0; id < moveCount; id++) {
+    if (state.move(playedDirections[id % playedDirections.length])) {
+      onMove(state);
+    }
+  }
+  return state;
+}
+
+/**
+ * Returns 4x4 game state played with given seed, rules and number of scripted moves
+ * @param {number} seed - Seed
+ * @param {Rules} rules - Rules
+ * @param {number} moveCount - Number of moves to try
+ * @returns {GameState}
+ */
+function playGame(seed, rules, moveCount) {
+  return playMoves(new GameState(4, 4, 11, new Random(seed), rules), moveCount);
+}
+
+module.exports = {
+  setLevels: setLevels,
+  makeState: makeState,
+  levelsOf: levelsOf,
+  countTiles: countTiles,
+  playMoves: playMoves,
+  playGame: playGame,
+};
@@ -0,0 +1,176 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const engine = require('../src/scripts/engine.js');
+const { playMoves } = require('./helpers/fixtures.js');
+
+const { Random, GameState, GameResult, Rules, Challenge, ChallengeRun, Leaderboard, LocalLeaderboardStore,
+  HttpLeaderboardStore } = engine;
+
+/**
+ * Returns leaderboard entry of a game played with given seed and moves
+ * @param {number} seed - Seed
+ * @param {number} moveCount - Number of moves to try
+ * @param {string} name - Player name
+ * @param {Rules=} rules - Rules of the game variant
+ * @returns {!Object}
+ */
+function playEntry(seed, moveCount, name, rules = new Rules()) {
+  let state = new GameState(4, 4, 11, new Random(seed), rules);
+  let run = new ChallengeRun(new Challenge(), state);
+  playMoves(state, moveCount, (movedState) => run.recordMove(movedState));
+  return run.finish(state, name);
+}
+
+/**
+ * Returns in-memory storage with the Web Storage methods used by the local store
+ * @returns {{getItem: function(string): ?string, setItem: function(string, string)}}
+ */
+function makeStorage() {
+  let items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+  };
+}
+
+describe('Leaderboard.verifyEntry()', function() {
+  it('accepts entries matching their replay', function() {
+    const entry = playEntry(3, 40, 'Ann');
+    assert.ok(Leaderboard.verifyEntry(entry));
+    assert.ok(Leaderboard.verifyEntry(entry, '4x4-11-moveBudget'));
+  });
+
+  it('accepts daily entries only when played with the seed of their date', function() {
+    const date = new Date('2024-03-01T12:00:00Z');
+    const dailyEntry = Object.assign(playEntry(Challenge.dailySeed(date), 40, 'Ann'), { 'date': date.toISOString() });
+    assert.ok(Leaderboard.verifyEntry(dailyEntry, '4x4-11-daily'));
+    const redated = (date) => Object.assign({}, dailyEntry, { 'date': date });
+    assert.ok(Leaderboard.verifyEntry(redated('2024-03-02T00:10:00.000Z'), '4x4-11-daily')); // Finished past midnight
+    assert.strictEqual(Leaderboard.verifyEntry(redated('2024-03-03T12:00:00.000Z'), '4x4-11-daily'), false);
+    assert.strictEqual(Leaderboard.verifyEntry(redated('2024-02-29T12:00:00.000Z'), '4x4-11-daily'), false);
+    assert.strictEqual(Leaderboard.verifyEntry(redated('yesterday'), '4x4-11-daily'), false);
+    assert.strictEqual(Leaderboard.verifyEntry(playEntry(3, 40, 'Eve'), '4x4-11-daily'), false);
+  });
+
+  it('rejects forged results', function() {
+    const entry = playEntry(3, 40, 'Ann');
+    assert.strictEqual(entry['result'], GameResult.Lost);
+    assert.strictEqual(Leaderboard.verifyEntry(Object.assign({}, entry, { 'result': GameResult.Won })), false);
+  });
+
+  it('rejects entries of other variants, challenges and spawn difficulties', function() {
+    const entry = playEntry(3, 40, 'Ann', Rules.byId('fours'));
+    assert.ok(Leaderboard.verifyEntry(entry, '4x4-11-fours-moveBudget'));
+    assert.strictEqual(Leaderboard.verifyEntry(entry, '4x4-11-moveBudget'), false);
+    assert.strictEqual(Leaderboard.verifyEntry(entry, '4x4-11-fours-weekly'), false);
+    assert.strictEqual(Leaderboard.verifyEntry(entry, '4x4-11-fours-moveBudget-evil50'), false);
+    const evilEntry = playEntry(3, 40, 'Ann', new Rules({ 'spawnDifficulty': 50 }));
+    assert.ok(Leaderboard.verifyEntry(evilEntry, '4x4-11-timeAttack-evil50'));
+    assert.strictEqual(Leaderboard.verifyEntry(evilEntry, '4x4-11-timeAttack'), false);
+  });
+
+  it('rejects forged scores, other configurations and missing replays', function() {
+    const entry = playEntry(3, 40, 'Ann');
+    assert.strictEqual(Leaderboard.verifyEntry(Object.assign({}, entry, { 'score': entry['score'] + 4 })), false);
+    assert.strictEqual(Leaderboard.verifyEntry(Object.assign({}, entry, { 'moves': entry['moves'] - 1 })), false);
+    assert.strictEqual(Leaderboard.verifyEntry(entry, '4x4-12'), false);
+    assert.strictEqual(Leaderboard.verifyEntry(Object.assign({}, entry, { 'replay': null })), false);
+  });
+});
+
+describe('LocalLeaderboardStore', function() {
+  it('keeps top entries per key in a given storage', function() {
+    const challenge = new Challenge();
+    let store = new LocalLeaderboardStore(makeStorage(), '2048.leaderboard.', 2);
+    return store.submit('4x4-11', challenge, playEntry(1, 20, 'Ann'))
+      .then((rank) => {
+        assert.strictEqual(rank, 0);
+        return store.submit('4x4-11', challenge, playEntry(2, 60, 'Bob'));
+      })
+      .then((rank) => {
+        assert.strictEqual(rank, 0);
+        return store.submit('4x4-11', challenge, playEntry(1, 1, 'Eve'));
+      })
+      .then((rank) => {
+        assert.strictEqual(rank, -1);
+        return Promise.all([store.load('4x4-11', challenge), store.load('5x5-11', challenge)]);
+      })
+      .then((leaderboards) => {
+        assert.deepStrictEqual(leaderboards[0].entries.map((entry) => entry['name']), ['Bob', 'Ann']);
+        assert.strictEqual(leaderboards[1].entries.length, 0);
+      });
+  });
+
+  it('loads an empty leaderboard when storage is unavailable', function() {
+    return new LocalLeaderboardStore(null).load('4x4-11', new Challenge()).then((leaderboard) => {
+      assert.strictEqual(leaderboard.entries.length, 0);
+    });
+  });
+});
+
+describe('HttpLeaderboardStore', function() {
+  let server;
+  let url;
+  let leaderboards = {};
+
+  before(function(done) {
+    // Mock server keeping leaderboards in memory and accepting only verified entries
+    server = http.createServer((request, response) => {
+      const key = decodeURIComponent(request.url.split('/').pop());
+      const challenge = new Challenge();
+      leaderboards[key] = leaderboards[key] || new Leaderboard(challenge);
+      let body = '';
+      request.on('data', (chunk) => { body += chunk; });
+      request.on('end', () => {
+        if (request.method == 'POST') {
+          const entry = JSON.parse(body);
+          if (!Leaderboard.verifyEntry(entry, key)) {
+            response.writeHead(422);
+            response.end();
+            return;
+          }
+          response.writeHead(200, { 'Content-Type': 'application/json' });
+          response.end(JSON.stringify({ 'rank': leaderboards[key].add(entry) }));
+        } else {
+          response.writeHead(200, { 'Content-Type': 'application/json' });
+          response.end(JSON.stringify(leaderboards[key].serialize()));
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      url = 'http://127.0.0.1:' + server.address().port + '/leaderboards/';
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  it('submits entries with replays and loads the leaderboard', function() {
+    const challenge = new Challenge();
+    let store = new HttpLeaderboardStore(url);
+    return store.submit('4x4-11', challenge, playEntry(5, 30, 'Ann'))
+      .then((rank) => {
+        assert.strictEqual(rank, 0);
+        return store.load('4x4-11', challenge);
+      })
+      .then((leaderboard) => {
+        assert.strictEqual(leaderboard.entries.length, 1);
+        assert.strictEqual(leaderboard.entries[0]['name'], 'Ann');
+        assert.ok(leaderboard.entries[0]['replay']);
+      });
+  });
+
+  it('rejects when the server refuses an entry', function() {
+    const entry = playEntry(5, 30, 'Eve');
+    entry['score'] += 1000;
+    return new HttpLeaderboardStore(url).submit('4x4-11', new Challenge(), entry).then(() => {
+      assert.fail('Forged entry has been accepted');
+    }, (error) => {
+      assert.ok(/422/.test(error.message));
+    });
+  });
+});
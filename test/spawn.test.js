@@ -0,0 +1,82 @@
+'use strict';
+
+const assert = require('assert');
+const engine = require('../src/scripts/engine.js');
+const { setLevels, playGame } = require('./helpers/fixtures.js');
+
+const { Direction, TileStatus, Random, GameState, Replay, Solver, Rules, RandomSpawnStrategy, AdversarialSpawnStrategy } = engine;
+
+describe('Spawn strategies', function() {
+  it('spawns classic tiles when difficulty is 0', function() {
+    const rules = new Rules({ 'spawnDifficulty': 0 });
+    assert.ok(rules.spawnStrategy instanceof RandomSpawnStrategy);
+    assert.ok(playGame(7, rules, 40).equals(playGame(7, new Rules(), 40)));
+  });
+
+  it('places adversarial tiles where the best reply is worst', function() {
+    let state = new GameState(4, 4, 11, new Random(1));
+    setLevels(state, [3, 2, 0, 0, 1]);
+    const choice = new AdversarialSpawnStrategy(1).choose(state);
+    assert.ok(state.tiles[choice.index].isEmpty);
+    assert.ok(choice.level == 1 || choice.level == 2);
+
+    const solver = new Solver(1);
+    const valueOf = (index, level) => {
+      let tile = state.tiles[index];
+      tile.level = level;
+      tile.status = TileStatus.Spawned;
+      const value = solver.moveValue(state, 1);
+      tile.reset();
+      return value;
+    };
+    const chosenValue = valueOf(choice.index, choice.level);
+    state.tiles.filter((tile) => tile.isEmpty).forEach((tile) => {
+      assert.ok(chosenValue <= valueOf(tile.index, 1));
+      assert.ok(chosenValue <= valueOf(tile.index, 2));
+    });
+  });
+
+  it('repeats evil games from their seed and replays', function() {
+    const rules = new Rules({ 'spawnDifficulty': 50 });
+    const state = playGame(11, rules, 30);
+    assert.ok(state.equals(playGame(11, rules, 30)));
+    assert.ok(!state.equals(playGame(11, new Rules(), 30)));
+
+    const replay = Replay.decode(Replay.fromState(state).encode());
+    assert.strictEqual(replay.rules.spawnDifficulty, 50);
+    let replayed = replay.initialState();
+    replay.moves.forEach((direction) => replayed.move(direction));
+    assert.ok(replayed.equals(state));
+  });
+
+  it('searches only for tiles that stay on the board', function() {
+    const state = playGame(4, new Rules({ 'spawnDifficulty': 100 }), 5);
+    const choose = AdversarialSpawnStrategy.prototype.choose;
+    let searches = 0;
+    AdversarialSpawnStrategy.prototype.choose = function(chosenState) {
+      searches++;
+      return choose.call(this, chosenState);
+    };
+    try {
+      assert.ok(GameState.deserialize(state.serialize()).equals(state));
+      assert.ok(state.clone().equals(state));
+      assert.strictEqual(searches, 0);
+      assert.ok(state.move(Direction.Up) || state.move(Direction.Left));
+      assert.strictEqual(searches, 1);
+      // Full board without merges
+      setLevels(state, state.tiles.map((tile) => 1 + tile.index % 2 + Math.floor(tile.index / 4) % 2));
+      assert.ok(state.isGameOver);
+      assert.strictEqual(searches, 1);
+    } finally {
+      AdversarialSpawnStrategy.prototype.choose = choose;
+    }
+  });
+
+  it('keeps spawn difficulty in serialized rules', function() {
+    const rules = new Rules({ 'merge': 'fibonacci', 'spawnDifficulty': 30 });
+    assert.ok(Rules.deserialize(rules.serialize()).equals(rules));
+    assert.strictEqual(Rules.fromBytes(new Uint8Array(rules.toBytes()), 0).rules.spawnDifficulty, 30);
+    assert.strictEqual(Rules.deserialize({ 'spawnDifficulty': 101 }), null);
+    assert.strictEqual(Rules.deserialize({ 'spawnDifficulty': 0.5 }), null);
+  });
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const assert = require('assert');
+const engine = require('../src/scripts/engine.js');
+
+const { Direction, GameStatus, TileStatus, Random, GameState, GameResult, GameStatsCollector, GameStats } = engine;
+
+/**
+ * Returns game record with given result, score and largest tile
+ * @param {GameResult} result - Result
+ * @param {number} score - Score
+ * @param {number} maxTileLevel - Level of the largest tile
+ * @returns {!Object}
+ */
+function makeRecord(result, score, maxTileLevel) {
+  return {
+    'date': '2024-01-01T00:00:00.000Z',
+    'rows': 4,
+    'columns': 4,
+    'targetTileLevel': 11,
+    'seed': 1,
+    'result': result,
+    'score': score,
+    'maxTileLevel': maxTileLevel,
+    'moves': 10,
+    'merges': { '1': 3, '2': 1 },
+    'duration': 5000,
+  };
+}
+
+describe('GameStatsCollector', function() {
+  it('counts moves, merges by level and active time', function() {
+    let state = new GameState(1, 4, 11, new Random(1));
+    state.tiles.forEach((tile) => tile.reset());
+    let collector = new GameStatsCollector(state, 0);
+    [1, 1, 2, 2].forEach((level, index) => {
+      state.tiles[index].level = level;
+      state.tiles[index].status = TileStatus.Still;
+    });
+    state.move(Direction.Left);
+    collector.recordMove(state, 1000);
+    assert.deepStrictEqual(collector.merges, { 2: 1, 3: 1 });
+    assert.strictEqual(collector.maxTileLevel, 3);
+
+    state.move(Direction.Right);
+    collector.recordMove(state, 1000 + 3600 * 1000);
+    assert.strictEqual(collector.moves, 2);
+    assert.strictEqual(collector.duration, 1000 + collector.idleLimit);
+  });
+
+  it('records result of a finished game', function() {
+    let state = new GameState(2, 2, 3, new Random(1));
+    let collector = new GameStatsCollector(state);
+    assert.strictEqual(collector.finish(state)['result'], GameResult.Abandoned);
+    state.status = GameStatus.Lost;
+    assert.strictEqual(collector.finish(state)['result'], GameResult.Lost);
+    state.tiles[0].level = 3;
+    state.tiles[0].status = TileStatus.Still;
+    assert.strictEqual(collector.finish(state)['result'], GameResult.Won);
+  });
+
+  it('restores collected statistics only for the same game', function() {
+    let state = new GameState(4, 4, 11, new Random(5));
+    let collector = new GameStatsCollector(state);
+    state.move(Direction.Left);
+    collector.recordMove(state);
+    const data = JSON.parse(JSON.stringify(collector.serialize()));
+    assert.strictEqual(GameStatsCollector.deserialize(data, state).moves, 1);
+    assert.strictEqual(GameStatsCollector.deserialize(data, new GameState(4, 4, 11, new Random(6))), null);
+    collector.finish(state);
+    assert.strictEqual(GameStatsCollector.deserialize(collector.serialize(), state).finished, true);
+  });
+});
+
+describe('GameStats', function() {
+  const stats = new GameStats([
+    makeRecord(GameResult.Won, 100, 11),
+    makeRecord(GameResult.Won, 300, 11),
+    makeRecord(GameResult.Lost, 200, 9),
+    makeRecord(GameResult.Won, 400, 12),
+  ]);
+
+  it('sums totals and win rate', function() {
+    const totals = stats.totals;
+    assert.deepStrictEqual([totals.games, totals.won, totals.lost, totals.moves, totals.merges, totals.bestScore],
+      [4, 3, 1, 40, 16, 400]);
+    assert.strictEqual(stats.winRate, 0.75);
+    assert.strictEqual(new GameStats().winRate, 0);
+  });
+
+  it('builds histogram of the largest tiles and average scores', function() {
+    assert.deepStrictEqual(stats.maxTileHistogram, { 512: 1, 2048: 2, 4096: 1 });
+    assert.deepStrictEqual(stats.averageScores, [100, 200, 200, 250]);
+  });
+
+  it('finds current and best streaks of wins', function() {
+    assert.deepStrictEqual(stats.streaks, { current: 1, best: 2 });
+  });
+
+  it('exports CSV and JSON', function() {
+    const lines = stats.toCSV().trim().split('\n');
+    assert.strictEqual(lines.length, 5);
+    assert.strictEqual(lines[1], '2024-01-01T00:00:00.000Z,4,4,2048,1,won,100,2048,10,5000,2:3 4:1');
+    const restored = GameStats.deserialize(JSON.parse(JSON.stringify(stats.serialize())));
+    assert.deepStrictEqual(restored.records, stats.records);
+    assert.strictEqual(GameStats.deserialize({ 'version': 1, 'games': [null, {}] }).records.length, 0);
+  });
+
+  it('keeps only a limited number of the latest records', function() {
+    let limited = new GameStats([], 2);
+    [1, 2, 3].forEach((score) => limited.add(makeRecord(GameResult.Lost, score, 5)));
+    assert.deepStrictEqual(limited.records.map((record) => record['score']), [2, 3]);
+  });
+});
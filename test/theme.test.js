@@ -0,0 +1,66 @@
+'use strict';
+
+const assert = require('assert');
+const themes = require('../src/scripts/theme.js');
+
+const { Themes, Theme } = themes;
+
+describe('Theme', function() {
+  it('gives every built-in theme all colors and fonts', function() {
+    for (let id in Themes) {
+      const theme = new Theme(Themes[id]);
+      assert.deepStrictEqual(Object.keys(theme.page), Object.keys(Themes['classic']['page']), id);
+      assert.deepStrictEqual(Object.keys(theme.overlay), Object.keys(Themes['classic']['overlay']), id);
+      assert.ok(theme.fonts['tile'] && theme.fonts['overlay'], id);
+      for (let level = 1; level <= 20; level++) {
+        assert.ok(/^#[0-9A-F]{6}$/i.test(theme.getTileColor(level)), id + ' ' + level);
+        assert.ok(/^#[0-9A-F]{6}$/i.test(theme.getTileTextColor(level)), id + ' ' + level);
+      }
+    }
+  });
+
+  it('uses listed colors up to 2048', function() {
+    const theme = Theme.byId('classic');
+    assert.strictEqual(theme.getTileColor(1), '#EEE4DA');
+    assert.strictEqual(theme.getTileColor(11), '#EDC22E');
+    assert.strictEqual(theme.getTileTextColor(1), '#776E65');
+    assert.strictEqual(theme.getTileTextColor(3), '#F9F6F2');
+  });
+
+  it('generates distinct colors for tiles beyond its list', function() {
+    for (let id in Themes) {
+      const theme = Theme.byId(id);
+      let colors = [];
+      for (let level = 11; level <= 18; level++) {
+        colors.push(theme.getTileColor(level));
+      }
+      assert.strictEqual(new Set(colors).size, colors.length, id);
+    }
+  });
+
+  it('keeps generated high contrast tiles readable', function() {
+    // Relative luminance as defined by WCAG
+    const luminance = (hex) => Theme.parseHex(hex).map((value) => {
+      value /= 255;
+      return (value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4));
+    }).reduce((sum, value, index) => sum + value * [0.2126, 0.7152, 0.0722][index], 0);
+    const theme = Theme.byId('highContrast');
+    for (let level = 12; level <= 30; level++) {
+      const ratio = (luminance(theme.getTileTextColor(level)) + 0.05) / (luminance(theme.getTileColor(level)) + 0.05);
+      assert.ok(ratio >= 4.5, level + ' ' + ratio);
+    }
+  });
+
+  it('falls back to classic theme for missing parts and unknown ids', function() {
+    const theme = new Theme({ 'name': 'Partial', 'board': '#000000' });
+    assert.strictEqual(theme.board, '#000000');
+    assert.strictEqual(theme.emptyTile, Themes['classic']['emptyTile']);
+    assert.strictEqual(Theme.byId('missing').name, 'Classic');
+  });
+
+  it('converts colors', function() {
+    assert.deepStrictEqual(Theme.parseHex('#EDC22E'), [237, 194, 46]);
+    assert.strictEqual(Theme.hslToHex(0, 100, 50), '#FF0000');
+    assert.strictEqual(Theme.hslToHex(120, 100, 25), '#008000');
+  });
+});
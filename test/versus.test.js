@@ -0,0 +1,56 @@
+'use strict';
+
+const assert = require('assert');
+const engine = require('../src/scripts/engine.js');
+const { setLevels, countTiles } = require('./helpers/fixtures.js');
+
+const { Direction, GameStatus, TileStatus, VersusMode, VersusMatch } = engine;
+
+describe('VersusMatch', function() {
+  it('gives both players the same spawns', function() {
+    let match = new VersusMatch(4, 4, 11, 123);
+    assert.ok(match.states[0].equals(match.states[1]));
+    [Direction.Left, Direction.Up, Direction.Right].forEach((direction) => {
+      match.move(0, direction);
+      match.move(1, direction);
+    });
+    assert.ok(match.states[0].equals(match.states[1]));
+  });
+
+  it('sends garbage for merges reaching the garbage level', function() {
+    let match = new VersusMatch(4, 4, 11, 5, undefined, { 'garbageLevel': 3 });
+    setLevels(match.states[0], [1, 1, 0, 0, 2, 2]);
+    const opponentTiles = countTiles(match.states[1]);
+    assert.ok(match.move(0, Direction.Left));
+    assert.strictEqual(countTiles(match.states[1]), opponentTiles + 1);
+    assert.ok(match.states[1].tiles.some((tile) => (tile.status == TileStatus.Spawned && tile.level == 1)));
+    assert.deepStrictEqual(match.pendingGarbage, [0, 0]);
+  });
+
+  it('ends a race when a player reaches the target or can not move', function() {
+    let race = new VersusMatch(2, 2, 3, 1);
+    setLevels(race.states[1], [2, 2, 0, 0]);
+    race.move(1, Direction.Left);
+    assert.strictEqual(race.winner, 1);
+    assert.strictEqual(race.move(0, Direction.Left), false);
+
+    let stuck = new VersusMatch(2, 2, 6, 1);
+    setLevels(stuck.states[0], [3, 4, 0, 5]);
+    stuck.move(0, Direction.Down);
+    assert.strictEqual(stuck.states[0].status, GameStatus.Lost);
+    assert.strictEqual(stuck.winner, 1);
+  });
+
+  it('decides a timed match by score once time is up', function() {
+    let match = new VersusMatch(4, 4, 11, 9, undefined, { 'mode': VersusMode.Timed, 'timeLimit': 1000 });
+    match.tick(5000);
+    assert.strictEqual(match.elapsed, 0);
+    setLevels(match.states[1], [1, 1]);
+    match.move(1, Direction.Left);
+    match.tick(600);
+    assert.strictEqual(match.isOver, false);
+    match.tick(600);
+    assert.strictEqual(match.timeLeft, 0);
+    assert.strictEqual(match.winner, 1);
+  });
+});